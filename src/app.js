@@ -4,6 +4,7 @@ import dotenv from "dotenv";
 
 import { connectDB } from "./config/db.js";
 import authRoutes from "./routes/authRoutes.js";
+import twoFactorRoutes from "./routes/twoFactorRoutes.js";
 import roomRoutes from "./routes/roomRoutes.js";
 import tenantRoutes from "./routes/tenantRoutes.js";
 import leaseRoutes from "./routes/leaseRoutes.js";
@@ -13,7 +14,18 @@ import lightBillRoutes from "./routes/lightBillRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import dashboardRoutes from "./routes/dashboardRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import portalRoutes from "./routes/portalRoutes.js";
+import inviteRoutes from "./routes/inviteRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import propertyRoutes from "./routes/propertyRoutes.js";
+import organizationRoutes from "./routes/organizationRoutes.js";
+import maintenanceRoutes from "./routes/maintenanceRoutes.js";
+import consistencyRoutes from "./routes/consistencyRoutes.js";
 import { scheduleMonthlyInvoiceGeneration } from "./services/invoiceCronService.js";
+import { scheduleRentRevisionJob } from "./services/rentRevisionService.js";
+import { scheduleLeaseLifecycleJob } from "./services/leaseLifecycleService.js";
+import { migrateLegacyData } from "./services/organizationService.js";
 
 dotenv.config();
 const app = express();
@@ -28,6 +40,9 @@ app.get("/", (req, res) => {
 
 // routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/organization", organizationRoutes);
+app.use("/api/properties", propertyRoutes);
 app.use("/api/rooms", roomRoutes);
 app.use("/api/tenants", tenantRoutes);
 app.use("/api/leases", leaseRoutes);
@@ -37,14 +52,39 @@ app.use("/api/light-bills", lightBillRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/portal", portalRoutes);
+app.use("/api/invites", inviteRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/maintenance", maintenanceRoutes);
+app.use("/api/consistency", consistencyRoutes);
 
 // start
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, async () => {
+const startServer = async () => {
   await connectDB();
-  console.log(`Server running on port ${PORT}`);
-  
-  // Schedule monthly invoice generation
-  scheduleMonthlyInvoiceGeneration();
-});
\ No newline at end of file
+
+  // Requests must not see the database before it is migrated
+  try {
+    await migrateLegacyData();
+  } catch (error) {
+    console.error("Data migration error:", error.message);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+
+    // Schedule monthly invoice generation
+    scheduleMonthlyInvoiceGeneration();
+
+    // Apply scheduled rent changes daily
+    scheduleRentRevisionJob();
+
+    // Start and end leases by date daily
+    scheduleLeaseLifecycleJob();
+  });
+};
+
+startServer();
\ No newline at end of file
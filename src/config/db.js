@@ -1,11 +1,117 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import mongoose from "mongoose";
 
+// Queries and saves inside mongoose.connection.transaction() join the transaction on their own
+mongoose.set("transactionAsyncLocalStorage", true);
+
+// Transactions need a replica set or a sharded cluster
+let transactionsSupported = false;
+
+// Without transactions, locks taken during a withTransaction call are released when it ends
+const standaloneWrites = new AsyncLocalStorage();
+
 export const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
     console.log("MongoDB connected");
+
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+    if (!transactionsSupported) {
+      console.warn("MongoDB is a standalone server; multi-document writes will run without transactions");
+    }
   } catch (error) {
     console.error("MongoDB connection error:", error.message);
     process.exit(1);
   }
 };
+
+/**
+ * Run a group of writes as one MongoDB transaction; every query and save inside fn
+ * joins it. fn runs once: if a concurrent request changed the same documents the
+ * transaction is aborted and the error is rethrown (see isWriteConflict).
+ * Calls nested in a running transaction join it. On a standalone server fn runs
+ * without a transaction: atomic update guards and locks (see releaseAfterWrites)
+ * prevent double spending and double booking there, and the consistency checker
+ * repairs anything left half-written.
+ * @param {Function} fn - The writes to run
+ * @returns {Promise<*>} Whatever fn returns
+ */
+export const withTransaction = async (fn) => {
+  if (!transactionsSupported) {
+    if (standaloneWrites.getStore()) {
+      return fn();
+    }
+    const releases = [];
+    try {
+      return await standaloneWrites.run({ releases }, fn);
+    } finally {
+      for (const release of releases.reverse()) {
+        try {
+          await release();
+        } catch (error) {
+          console.error("Failed to release lock:", error.message);
+        }
+      }
+    }
+  }
+
+  const storage = mongoose.transactionAsyncLocalStorage;
+  if (storage.getStore()?.session) {
+    return fn();
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await storage.run({ session }, fn);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Whether multi-document writes run in MongoDB transactions (false on a standalone server)
+ * @returns {boolean}
+ */
+export const transactionsAvailable = () => transactionsSupported;
+
+/**
+ * Release a lock when the surrounding withTransaction call ends, whether it
+ * succeeded or not. Only used on a standalone server, where locks stand in for
+ * transactions; a lock taken outside withTransaction is left to expire.
+ * @param {Function} release - Async function that releases the lock
+ */
+export const releaseAfterWrites = (release) => {
+  const store = standaloneWrites.getStore();
+  if (store) {
+    store.releases.push(release);
+  }
+};
+
+/**
+ * The error thrown when a lock is held by a concurrent request (see isWriteConflict)
+ * @param {string} message - What could not be locked
+ * @returns {Error}
+ */
+export const writeConflictError = (message) => {
+  const error = new Error(message);
+  error.name = "WriteConflictError";
+  return error;
+};
+
+/**
+ * Whether an error means a transaction lost a race with a concurrent write and can be retried
+ * @param {Error} error - The error thrown by withTransaction
+ * @returns {boolean}
+ */
+export const isWriteConflict = (error) =>
+  error.name === "WriteConflictError" ||
+  (typeof error.hasErrorLabel === "function" && error.hasErrorLabel("TransientTransactionError"));
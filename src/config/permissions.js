@@ -0,0 +1,117 @@
+// Staff roles and the permissions each one is granted.
+// "admin" is kept for accounts created before roles existed and has full access.
+export const ROLES = ["owner", "admin", "manager", "accountant", "caretaker"];
+
+// Tenant portal accounts have no staff permissions and can only use /api/portal
+export const TENANT_ROLE = "tenant";
+
+export const PERMISSIONS = [
+  "dashboard:read",
+  "properties:read",
+  "properties:write",
+  "rooms:read",
+  "rooms:write",
+  "tenants:read",
+  "tenants:write",
+  "leases:read",
+  "leases:write",
+  "invoices:read",
+  "invoices:write",
+  "payments:read",
+  "payments:write",
+  "light-bills:read",
+  "light-bills:write",
+  "light-bills:delete",
+  "maintenance:read",
+  "maintenance:write",
+  "settings:read",
+  "settings:write",
+  "notifications:read",
+  "users:manage",
+  "security:manage",
+  "api-keys:manage",
+  "consistency:manage",
+];
+
+// Scopes an API key can be granted. Account administration and data repair are never available to keys.
+export const API_KEY_SCOPES = PERMISSIONS.filter(
+  (permission) => !["users:manage", "security:manage", "api-keys:manage", "consistency:manage"].includes(permission)
+);
+
+export const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  admin: ["*"],
+  manager: [
+    "dashboard:read",
+    "properties:read",
+    "properties:write",
+    "rooms:read",
+    "rooms:write",
+    "tenants:read",
+    "tenants:write",
+    "leases:read",
+    "leases:write",
+    "invoices:read",
+    "invoices:write",
+    "payments:read",
+    "payments:write",
+    "light-bills:read",
+    "light-bills:write",
+    "light-bills:delete",
+    "maintenance:read",
+    "maintenance:write",
+    "settings:read",
+    "notifications:read",
+  ],
+  accountant: [
+    "dashboard:read",
+    "properties:read",
+    "rooms:read",
+    "tenants:read",
+    "leases:read",
+    "invoices:read",
+    "invoices:write",
+    "payments:read",
+    "payments:write",
+    "light-bills:read",
+    "light-bills:write",
+    "maintenance:read",
+    "settings:read",
+    "notifications:read",
+  ],
+  caretaker: [
+    "properties:read",
+    "rooms:read",
+    "tenants:read",
+    "leases:read",
+    "light-bills:read",
+    "light-bills:write",
+    "maintenance:read",
+    "maintenance:write",
+    "notifications:read",
+  ],
+};
+
+// Roles that receive system notifications (payments, invoices, maintenance, ...)
+export const NOTIFIED_ROLES = ["owner", "admin", "manager"];
+
+/**
+ * Check whether a role has been granted a permission
+ * @param {string} role - The user's role
+ * @param {string} permission - The permission to check, e.g. "rooms:write"
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
+
+/**
+ * List the effective permissions of a role
+ * @param {string} role - The user's role
+ * @returns {Array<string>}
+ */
+export const permissionsForRole = (role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") ? [...PERMISSIONS] : [...granted];
+};
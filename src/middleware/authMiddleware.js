@@ -1,28 +1,99 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { hasPermission, TENANT_ROLE } from "../config/permissions.js";
+import { isApiKey, authenticateApiKey } from "../services/apiKeyService.js";
+import { runWithOrganization } from "../plugins/organizationScope.js";
+
+// Integrations authenticate with an API key instead of a user session.
+// The key acts on behalf of the user who created it, limited to its scopes.
+const authenticateWithApiKey = async (key, req, res, next) => {
+  const apiKey = await authenticateApiKey(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ message: "API key invalid, expired or revoked" });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select("-passwordHash");
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: "Not authorized" });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  runWithOrganization(user.organization, next);
+};
 
 export const authRequired = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization || "";
     const token = authHeader.startsWith("Bearer ")
       ? authHeader.split(" ")[1]
-      : null;
+      : req.headers["x-api-key"] || null;
 
     if (!token) {
       return res.status(401).json({ message: "No token, authorization denied" });
     }
 
+    if (isApiKey(token)) {
+      return await authenticateWithApiKey(token, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session so they stop working once it is revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
     const user = await User.findById(decoded.id).select("-passwordHash");
 
-    if (!user || user.role !== "admin" || !user.isActive) {
+    if (!user || !user.isActive || !session.user.equals(user._id)) {
       return res.status(401).json({ message: "Not authorized" });
     }
 
     req.user = user;
-    next();
+    req.session = session;
+    // Everything after this point only sees the user's organization
+    runWithOrganization(user.organization, next);
   } catch (error) {
     console.error("Auth error:", error.message);
     res.status(401).json({ message: "Token invalid or expired" });
   }
 };
+
+// Use after authRequired: rejects users whose role lacks the given permission.
+// API keys additionally need the permission among their scopes.
+export const requirePermission = (permission) => (req, res, next) => {
+  const allowedByKey = !req.apiKey || req.apiKey.scopes.includes(permission);
+  if (!req.user || !hasPermission(req.user.role, permission) || !allowedByKey) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have permission to perform this action",
+    });
+  }
+  next();
+};
+
+// Use after authRequired: only tenant portal accounts linked to a Tenant record may pass
+export const requireTenant = (req, res, next) => {
+  if (!req.user || req.apiKey || req.user.role !== TENANT_ROLE || !req.user.tenant) {
+    return res.status(403).json({
+      success: false,
+      message: "Only tenant accounts can access the portal",
+    });
+  }
+  req.tenantId = req.user.tenant;
+  next();
+};
+
+// Use after authRequired: for account routes that only make sense for a logged-in person
+export const requireSession = (req, res, next) => {
+  if (!req.session) {
+    return res.status(403).json({
+      success: false,
+      message: "This action requires a user login and cannot be done with an API key",
+    });
+  }
+  next();
+};
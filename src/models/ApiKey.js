@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import { API_KEY_SCOPES } from "../config/permissions.js";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    // Public part of the key, used to look it up; the full key is only stored hashed
+    prefix: { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [(scopes) => scopes.length > 0, "At least one scope is required"],
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.plugin(organizationScope);
+
+export default mongoose.model("ApiKey", apiKeySchema);
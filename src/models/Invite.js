@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+const inviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokedAt: Date,
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+inviteSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+inviteSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+inviteSchema.plugin(organizationScope);
+
+export default mongoose.model("Invite", inviteSchema);
@@ -1,7 +1,38 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+import { PRORATION_METHODS } from "./Settings.js";
+
+// How the rent of a partial billing period, or one with a rent increase, was worked out
+const prorationSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: PRORATION_METHODS, required: true },
+    fullRent: { type: Number, required: true }, // Monthly rent on the first billed day, before proration
+    daysBilled: { type: Number, required: true },
+    daysInPeriod: { type: Number, required: true },
+    // Set when a rent escalation took effect inside the billed days
+    rentSplit: {
+      type: [
+        {
+          from: { type: Date, required: true },
+          to: { type: Date, required: true },
+          rent: { type: Number, required: true }, // Monthly rent for these days
+          days: { type: Number, required: true },
+          _id: false,
+        },
+      ],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// Rent invoices bill a period of the lease; charges invoices bill one-off
+// charges (notice shortfall, move-out damage) and do not cover any rent
+export const INVOICE_KINDS = ["rent", "charges"];
 
 const invoiceSchema = new mongoose.Schema(
   {
+    kind: { type: String, enum: INVOICE_KINDS, default: "rent" },
     lease: { type: mongoose.Schema.Types.ObjectId, ref: "Lease", required: true },
     tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant", required: true },
     room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
@@ -13,17 +44,56 @@ const invoiceSchema = new mongoose.Schema(
     dueDate: { type: Date, required: true },
 
     baseAmount: { type: Number, required: true },
+    proration: prorationSchema, // Set when the lease covers only part of the period or the rent changed in it
     lateFee: { type: Number, default: 0 },
+    // Credits (negative) and extra charges (positive), e.g. prorated room transfers
+    adjustments: [
+      {
+        description: { type: String, required: true },
+        amount: { type: Number, required: true },
+        lease: { type: mongoose.Schema.Types.ObjectId, ref: "Lease" },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
     totalAmount: { type: Number, required: true },
     paidAmount: { type: Number, default: 0 },
 
     status: {
       type: String,
-      enum: ["unpaid", "partially_paid", "paid", "overdue"],
+      enum: ["unpaid", "partially_paid", "paid", "overdue", "void"],
       default: "unpaid",
     },
+    // Void invoices stay on record but are never collected
+    voidedAt: { type: Date },
+    voidReason: { type: String },
   },
   { timestamps: true }
 );
 
+/**
+ * Recompute totalAmount from the base amount, late fee and adjustments,
+ * and bring the payment status in line with it. Does not save.
+ * @returns {number} The new total
+ */
+invoiceSchema.methods.recalculateTotal = function () {
+  const adjustmentsTotal = (this.adjustments || []).reduce((sum, adjustment) => sum + adjustment.amount, 0);
+  this.totalAmount = Math.max(Math.round((this.baseAmount + (this.lateFee || 0) + adjustmentsTotal) * 100) / 100, 0);
+  if (this.status === "void") {
+    return this.totalAmount;
+  }
+
+  const paid = this.paidAmount || 0;
+  if (paid >= this.totalAmount) {
+    this.status = "paid";
+  } else if (paid > 0) {
+    this.status = "partially_paid";
+  } else if (this.status === "paid" || this.status === "partially_paid") {
+    this.status = "unpaid";
+  }
+
+  return this.totalAmount;
+};
+
+invoiceSchema.plugin(organizationScope);
+
 export default mongoose.model("Invoice", invoiceSchema);
@@ -1,19 +1,122 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+import { ITEM_CONDITIONS } from "./Room.js";
+
+// Condition of the room's inventory at move-in or move-out
+const checklistSchema = new mongoose.Schema(
+  {
+    recordedAt: { type: Date, default: Date.now },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    items: [
+      {
+        inventoryItem: { type: mongoose.Schema.Types.ObjectId }, // Room.inventory entry
+        name: { type: String, required: true },
+        serialNumber: { type: String },
+        condition: { type: String, enum: ITEM_CONDITIONS, required: true },
+        notes: { type: String },
+        photos: [{ type: String }], // Photo URLs
+      },
+    ],
+    notes: { type: String },
+  },
+  { _id: false }
+);
+
+// Notice to vacate and the shortfall against the notice period
+const noticeSchema = new mongoose.Schema(
+  {
+    givenOn: { type: Date, required: true },
+    vacateDate: { type: Date, required: true },
+    givenBy: { type: String, enum: ["tenant", "landlord"], default: "tenant" },
+    reason: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    previousEndDate: { type: Date }, // Restored if the notice is withdrawn
+    periodDays: { type: Number }, // Notice period that applied
+    shortfallDays: { type: Number, default: 0 },
+    shortfallAmount: { type: Number, default: 0 },
+    shortfallInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }, // Set once billed
+  },
+  { _id: false }
+);
+
+export const ESCALATION_TYPES = ["percentage", "fixed"];
+
+// Rent increase applied every few months, counted from the anchor date
+const escalationSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ESCALATION_TYPES, required: true },
+    value: { type: Number, required: true, min: 0 }, // Percent, or amount added to the monthly rent
+    everyMonths: { type: Number, default: 12, min: 1 },
+    anchorDate: { type: Date }, // Defaults to startDate; set on renewals and transfers to keep the original anniversaries
+  },
+  { _id: false }
+);
+
+export const SETTLEMENT_ITEM_TYPES = ["invoice", "light_bill", "damage", "notice_shortfall"];
+
+// Move-out settlement: charges deducted from the deposit and the resulting refund
+const settlementSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ["draft", "finalized"], default: "draft" },
+
+    // Charges entered at move-out
+    damageCharges: [
+      {
+        description: { type: String, required: true },
+        amount: { type: Number, required: true, min: 0 },
+        inventoryItem: { type: mongoose.Schema.Types.ObjectId }, // Room.inventory entry
+      },
+    ],
+    noticeShortfall: { type: Number, min: 0 }, // Overrides the shortfall computed from the notice
+    notes: { type: String },
+
+    // Statement as it stood when finalized
+    depositHeld: { type: Number },
+    deductions: [
+      {
+        type: { type: String, enum: SETTLEMENT_ITEM_TYPES, required: true },
+        description: { type: String, required: true },
+        amount: { type: Number, required: true },
+        invoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+        lightBill: { type: mongoose.Schema.Types.ObjectId, ref: "LightBill" },
+      },
+    ],
+    totalDeductions: { type: Number },
+    refundDue: { type: Number },
+    amountOwed: { type: Number },
+    chargesInvoice: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }, // Damage and notice charges
+    refundPayment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    finalizedAt: { type: Date },
+    finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
 
 const leaseSchema = new mongoose.Schema(
   {
     tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant", required: true },
     room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    bed: { type: Number, default: 1, min: 1 }, // Bed number within the room (1..capacity)
     
     startDate: { type: Date, required: true },
     endDate: { type: Date },
     
-    rentPerMonth: { type: Number, required: true },
+    rentPerMonth: { type: Number, required: true }, // Rent before any escalation
+    escalation: escalationSchema,
     depositAgreed: { type: Number, required: true },
     depositPaid: { type: Number, default: 0 },
     depositRefunded: { type: Number, default: 0 },
+    depositTransferred: { type: Number, default: 0 }, // Moved to the renewal or transfer lease
+    depositDeducted: { type: Number, default: 0 }, // Kept to cover balances and charges at move-out
+    creditBalance: { type: Number, default: 0, min: 0 }, // Transfer credit still to be taken off future invoices
     
     billingDay: { type: Number, default: 1 }, // 1st of month
+    noticePeriodDays: { type: Number, min: 0 }, // Overrides the property and global notice period
+
+    notice: noticeSchema,
+
+    moveInChecklist: checklistSchema,
+    moveOutChecklist: checklistSchema,
     
     status: {
       type: String,
@@ -21,6 +124,18 @@ const leaseSchema = new mongoose.Schema(
       default: "active",
     },
     notes: String,
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
+
+    // Renewal and transfer chain
+    previousLease: { type: mongoose.Schema.Types.ObjectId, ref: "Lease" },
+    nextLease: { type: mongoose.Schema.Types.ObjectId, ref: "Lease" },
+    transferredAt: { type: Date }, // Set when the tenant moved to another room or bed
+    endDateBeforeRenewal: { type: Date }, // End date the renewal replaced (null: open-ended); restored if it is cancelled
+    // Reminder offsets (days before endDate) already sent
+    expiryRemindersSent: [{ type: Number }],
+
+    settlement: settlementSchema,
   },
   { timestamps: true }
 );
@@ -29,4 +144,6 @@ const leaseSchema = new mongoose.Schema(
 leaseSchema.index({ room: 1, status: 1 });
 leaseSchema.index({ tenant: 1, status: 1 });
 
+leaseSchema.plugin(organizationScope);
+
 export default mongoose.model("Lease", leaseSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
 
 const lightBillSchema = new mongoose.Schema(
   {
@@ -35,4 +36,6 @@ const lightBillSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+lightBillSchema.plugin(organizationScope);
+
 export default mongoose.model("LightBill", lightBillSchema);
\ No newline at end of file
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Failed login tracking, one document per account ("account:<email>") or IP ("ip:<address>")
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    ips: [{ type: String }], // Account documents only: IPs the failures came from
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// Forget failures after a quiet period
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
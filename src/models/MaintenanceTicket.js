@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+export const TICKET_CATEGORIES = [
+  "plumbing",
+  "electrical",
+  "furniture",
+  "appliance",
+  "cleaning",
+  "pest_control",
+  "structural",
+  "other",
+];
+
+export const TICKET_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// open → in_progress → resolved; resolved tickets can be reopened
+export const TICKET_TRANSITIONS = {
+  open: ["in_progress", "resolved"],
+  in_progress: ["open", "resolved"],
+  resolved: ["open"],
+};
+
+const maintenanceTicketSchema = new mongoose.Schema(
+  {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    lease: { type: mongoose.Schema.Types.ObjectId, ref: "Lease" },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant" },
+
+    title: { type: String, required: true },
+    description: { type: String },
+    category: { type: String, enum: TICKET_CATEGORIES, default: "other" },
+    priority: { type: String, enum: TICKET_PRIORITIES, default: "medium" },
+    status: {
+      type: String,
+      enum: Object.keys(TICKET_TRANSITIONS),
+      default: "open",
+    },
+    // Blocking tickets put the room in maintenance until they are resolved
+    blocksRoom: { type: Boolean, default: false },
+
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    cost: { type: Number, min: 0, default: 0 },
+
+    comments: [
+      {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        message: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    startedAt: Date,
+    resolvedAt: Date,
+    resolutionNotes: String,
+  },
+  { timestamps: true }
+);
+
+maintenanceTicketSchema.index({ room: 1, status: 1 });
+maintenanceTicketSchema.index({ assignee: 1, status: 1 });
+
+maintenanceTicketSchema.plugin(organizationScope);
+
+export default mongoose.model("MaintenanceTicket", maintenanceTicketSchema);
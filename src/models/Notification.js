@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -20,7 +21,7 @@ const notificationSchema = new mongoose.Schema(
     },
     relatedEntityType: {
       type: String,
-      enum: ["Payment", "Invoice", "Lease", "Tenant", "Room", "LightBill"],
+      enum: ["Payment", "Invoice", "Lease", "Tenant", "Room", "LightBill", "User", "MaintenanceTicket"],
     },
     isRead: {
       type: Boolean,
@@ -38,4 +39,6 @@ const notificationSchema = new mongoose.Schema(
 // Index for efficient querying
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 
+notificationSchema.plugin(organizationScope);
+
 export default mongoose.model("Notification", notificationSchema);
\ No newline at end of file
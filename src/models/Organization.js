@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// A landlord client. Every business record belongs to exactly one organization.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    // Set on the organization of the first owner registered while sign-up is closed;
+    // the unique index lets only one registration claim the empty install
+    founding: { type: Boolean },
+  },
+  { timestamps: true }
+);
+
+organizationSchema.index({ founding: 1 }, { unique: true, partialFilterExpression: { founding: true } });
+
+export default mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Expired reset tokens are useless, let MongoDB clean them up
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -1,11 +1,23 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+// Payment modes; "deposit" is taken from the security deposit
+export const PAYMENT_MODES = ["cash", "upi", "bank_transfer", "card", "deposit"];
 
 const paymentSchema = new mongoose.Schema(
   {
+    // Rent payments settle an invoice; deposit refunds are paid out to the tenant
+    kind: {
+      type: String,
+      enum: ["rent", "deposit_refund"],
+      default: "rent",
+    },
     invoice: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Invoice",
-      required: true,
+      required: function () {
+        return this.kind !== "deposit_refund";
+      },
     },
     lease: {
       type: mongoose.Schema.Types.ObjectId,
@@ -22,7 +34,7 @@ const paymentSchema = new mongoose.Schema(
     date: { type: Date, required: true },
     mode: {
       type: String,
-      enum: ["cash", "upi", "bank_transfer", "card"],
+      enum: PAYMENT_MODES,
       default: "cash",
     },
     note: String,
@@ -30,4 +42,6 @@ const paymentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+paymentSchema.plugin(organizationScope);
+
 export default mongoose.model("Payment", paymentSchema);
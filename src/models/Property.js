@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+const propertySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // Sunrise Residency, unique per organization
+    address: { type: String, required: true },
+    city: String,
+    // Overrides of the global Settings document; leave unset to inherit
+    defaultBillingDay: { type: Number, min: 1, max: 28 },
+    lateFeeConfig: {
+      type: {
+        type: String,
+        enum: ["per_day", "percentage"],
+      },
+      graceDays: Number,
+      perDayAmount: Number,
+      percentage: Number,
+    },
+    noticePeriodDays: { type: Number, min: 0 },
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+propertySchema.plugin(organizationScope);
+propertySchema.index({ organization: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("Property", propertySchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+// A change to a room's rent, applied on its effective date
+const rentRevisionSchema = new mongoose.Schema(
+  {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    effectiveDate: { type: Date, required: true },
+
+    // Rents before and after; unset "new" fields are left unchanged
+    previousRent: { type: Number },
+    newRent: { type: Number, min: 0 },
+    previousRentPerBed: { type: Number },
+    newRentPerBed: { type: Number, min: 0 },
+    // Removes the per-bed rent so the room falls back to its default rent
+    clearRentPerBed: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: ["scheduled", "applied", "cancelled"],
+      default: "scheduled",
+    },
+    appliedAt: Date,
+    cancelledAt: Date,
+
+    reason: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+rentRevisionSchema.index({ room: 1, effectiveDate: 1 });
+rentRevisionSchema.index({ status: 1, effectiveDate: 1 });
+
+rentRevisionSchema.plugin(organizationScope);
+
+export default mongoose.model("RentRevision", rentRevisionSchema);
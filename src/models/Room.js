@@ -1,25 +1,59 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+// Best to worst; "missing" is only recorded by checklists
+export const ITEM_CONDITIONS = ["new", "good", "fair", "poor", "damaged", "missing"];
+
+export const ROOM_STATUSES = ["vacant", "occupied", "partially_occupied", "maintenance"];
 
 const roomSchema = new mongoose.Schema(
   {
-    name: { type: String, required: true, unique: true }, // Room 101
+    property: { type: mongoose.Schema.Types.ObjectId, ref: "Property" },
+    name: { type: String, required: true }, // Room 101, unique per property
     floor: { type: String },
-    capacity: { type: Number, default: 1 },
-    currentOccupancy: { type: Number, default: 0 },
+    capacity: { type: Number, default: 1, min: 1 }, // Number of beds
+    currentOccupancy: { type: Number, default: 0 }, // Beds with an active lease, kept in sync automatically
     defaultRent: { type: Number, required: true },
+    rentPerBed: { type: Number, min: 0 }, // Default rent of one bed in a shared room
     defaultDeposit: { type: Number, required: true },
     status: {
       type: String,
-      enum: ["vacant", "occupied", "partially_occupied", "maintenance"],
+      enum: ROOM_STATUSES,
       default: "vacant",
     },
     currentLease: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: "Lease" 
     },
+    // Held while a booking is written, on servers without transactions
+    bookingLockedUntil: { type: Date },
+    // Planned periods the room cannot be let (repairs, painting, ...)
+    maintenanceBlocks: [
+      {
+        startDate: { type: Date, required: true },
+        endDate: { type: Date }, // Open-ended when missing
+        reason: { type: String },
+      },
+    ],
+    // Furniture and appliances in the room
+    inventory: [
+      {
+        name: { type: String, required: true }, // Bed, fan, AC, mattress
+        category: { type: String },
+        serialNumber: { type: String },
+        condition: { type: String, enum: ITEM_CONDITIONS, default: "good" },
+        notes: { type: String },
+      },
+    ],
     notes: { type: String },
+    // Archived rooms are hidden from lists but stay linked to their history
+    archivedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+roomSchema.index({ property: 1, name: 1 }, { unique: true });
+
+roomSchema.plugin(organizationScope);
+
 export default mongoose.model("Room", roomSchema);
\ No newline at end of file
@@ -1,9 +1,13 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
+
+// How rent is prorated when a lease starts or ends part-way through a billing period
+export const PRORATION_METHODS = ["actual_days", "thirty_day"];
 
 const settingsSchema = new mongoose.Schema(
   {
     currency: { type: String, default: "INR" },
-    defaultBillingDay: { type: Number, default: 1 }, // 1st of month
+    defaultBillingDay: { type: Number, default: 1, min: 1, max: 28 }, // 1st of month; kept to days every month has
     lateFeeConfig: {
       type: {
         type: String,
@@ -14,8 +18,21 @@ const settingsSchema = new mongoose.Schema(
       perDayAmount: { type: Number, default: 5 },
       percentage: { type: Number, default: 1 },
     },
+    // Days before a lease's end date when admins and the tenant are reminded
+    leaseExpiryReminderDays: { type: [{ type: Number, min: 0 }], default: [30, 7] },
+    // Days of notice a tenant must give before vacating
+    noticePeriodDays: { type: Number, min: 0, default: 30 },
+    // actual_days: days in the calendar month; thirty_day: every month counts as 30 days
+    prorationMethod: { type: String, enum: PRORATION_METHODS, default: "actual_days" },
+    security: {
+      // When true, every staff account must enrol in TOTP before it can log in
+      requireTwoFactor: { type: Boolean, default: false },
+    },
   },
   { timestamps: true }
 );
 
+// One settings document per organization
+settingsSchema.plugin(organizationScope, { unique: true });
+
 export default mongoose.model("Settings", settingsSchema);
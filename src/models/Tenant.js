@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { organizationScope } from "../plugins/organizationScope.js";
 
 const tenantSchema = new mongoose.Schema(
   {
@@ -18,8 +19,12 @@ const tenantSchema = new mongoose.Schema(
       default: "active",
     },
     notes: String,
+    // Archived tenants are hidden from lists but stay linked to their history
+    archivedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+tenantSchema.plugin(organizationScope);
+
 export default mongoose.model("Tenant", tenantSchema);
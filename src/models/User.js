@@ -1,18 +1,38 @@
 import mongoose from "mongoose";
+import { ROLES, TENANT_ROLE } from "../config/permissions.js";
+import { organizationScope } from "../plugins/organizationScope.js";
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    // Stored and looked up lowercased, so sign-up, invites and login agree
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     passwordHash: { type: String, required: true },
     role: {
       type: String,
-      enum: ["admin"],
+      enum: [...ROLES, TENANT_ROLE],
       default: "admin",
     },
+    // Set for tenant portal accounts only
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: "Tenant" },
     isActive: { type: Boolean, default: true },
+    suspendedWithTenant: { type: Boolean }, // Deactivated because its tenant was archived; reactivated on restore
+    passwordChangedAt: Date,
+    // TOTP two-factor authentication; secrets are never returned unless selected explicitly
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      lastUsedCounter: { type: Number, select: false },
+      enabledAt: Date,
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ tenant: 1 }, { unique: true, sparse: true });
+
+userSchema.plugin(organizationScope);
+
 export default mongoose.model("User", userSchema);
@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+
+// Holds the organization of the current request (set by authRequired) or job.
+const organizationStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with every scoped query restricted to one organization
+ * @param {string|Object} organizationId - The organization ID
+ * @param {Function} fn - The function to run
+ * @returns {*} Whatever fn returns
+ */
+export const runWithOrganization = (organizationId, fn) =>
+  organizationStorage.run({ organization: organizationId }, fn);
+
+/**
+ * The organization of the current request or job, if any
+ * @returns {Object|undefined} The organization ID
+ */
+export const getCurrentOrganization = () => {
+  const store = organizationStorage.getStore();
+  return store ? store.organization : undefined;
+};
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+/**
+ * Mongoose plugin: adds an `organization` field and, whenever an organization is
+ * active (see runWithOrganization), filters every query and aggregation by it and
+ * stamps it on new documents. Outside of an organization context (login, startup,
+ * jobs before they pick an organization) queries are not filtered.
+ * @param {Object} schema - The mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {boolean} options.unique - At most one document per organization (e.g. Settings)
+ */
+export const organizationScope = (schema, options = {}) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+      ...(options.unique ? { unique: true } : {}),
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, function () {
+    const organization = getCurrentOrganization();
+    if (organization && !this.getOptions().skipOrganizationScope) {
+      this.where({ organization });
+
+      // Updates can never move a document to another organization
+      const update = this.getUpdate();
+      if (update) {
+        if ("organization" in update) update.organization = organization;
+        if (update.$set && "organization" in update.$set) update.$set.organization = organization;
+      }
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const organization = getCurrentOrganization();
+    if (organization && !this.options.skipOrganizationScope) {
+      this.pipeline().unshift({
+        $match: { organization: new mongoose.Types.ObjectId(String(organization)) },
+      });
+    }
+  });
+
+  schema.pre("validate", function () {
+    const organization = getCurrentOrganization();
+    if (!organization) return;
+
+    if (!this.organization) {
+      this.organization = organization;
+    } else if (String(this.organization) !== String(organization)) {
+      // A ValidationError, so routes answer 400 like any other invalid field
+      const error = new mongoose.Error.ValidationError(this);
+      error.addError("organization", new mongoose.Error.ValidatorError({
+        path: "organization",
+        message: "Cannot save a document that belongs to another organization",
+        value: this.organization,
+      }));
+      throw error;
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    const organization = getCurrentOrganization();
+    if (organization) {
+      for (const doc of [].concat(docs)) {
+        if (!doc.organization) doc.organization = organization;
+      }
+    }
+    next();
+  });
+};
+
+export default organizationScope;
@@ -0,0 +1,164 @@
+import express from "express";
+import ApiKey from "../models/ApiKey.js";
+import {
+  authRequired,
+  requirePermission,
+  requireSession,
+} from "../middleware/authMiddleware.js";
+import { generateApiKey } from "../services/apiKeyService.js";
+import { API_KEY_SCOPES, hasPermission } from "../config/permissions.js";
+
+const router = express.Router();
+
+const DEFAULT_EXPIRY_DAYS = 365;
+const MAX_EXPIRY_DAYS = 730;
+
+// GET /api/api-keys?includeRevoked=true
+router.get("/", authRequired, requireSession, requirePermission("api-keys:manage"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.includeRevoked !== "true") query.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(query)
+      .select("-keyHash")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error("Error fetching API keys:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching API keys"
+    });
+  }
+});
+
+// POST /api/api-keys - Create a scoped key. The key is only returned in this response.
+router.post("/", authRequired, requireSession, requirePermission("api-keys:manage"), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    // Validation
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required"
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one scope is required"
+      });
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(", ")}. Valid scopes are: ${API_KEY_SCOPES.join(", ")}`
+      });
+    }
+
+    // A key can never do more than the person who created it
+    const ungranted = scopes.filter((scope) => !hasPermission(req.user.role, scope));
+    if (ungranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not have: ${ungranted.join(", ")}`
+      });
+    }
+
+    if (!(expiresInDays > 0) || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now, it will not be shown again.",
+      data: {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        key,
+      }
+    });
+  } catch (error) {
+    console.error("API key creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating API key"
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke a key
+router.delete("/:id", authRequired, requireSession, requirePermission("api-keys:manage"), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id).select("-keyHash");
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found"
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "API key is already revoked"
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+      data: apiKey
+    });
+  } catch (error) {
+    console.error("API key revoke error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid API key ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking API key"
+    });
+  }
+});
+
+export default router;
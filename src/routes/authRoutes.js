@@ -1,14 +1,49 @@
 import express from "express";
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import Invite from "../models/Invite.js";
+import PasswordResetToken from "../models/PasswordResetToken.js";
+import Settings from "../models/Settings.js";
+import Organization from "../models/Organization.js";
+import { authRequired, requireSession } from "../middleware/authMiddleware.js";
+import { TENANT_ROLE } from "../config/permissions.js";
+import {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  buildAuthPayload,
+  signChallengeToken,
+  revokeSession,
+  revokeUserSessions,
+} from "../services/tokenService.js";
+import { sendMail } from "../services/mailService.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../services/loginThrottleService.js";
 
 const router = express.Router();
 
-// Optional: create first admin manually via route or seed
+const RESET_TOKEN_MINUTES = 30;
+
+// POST /api/auth/register - Create an organization and its owner account.
+// Only the very first owner can register, unless ALLOW_ORGANIZATION_SIGNUP=true lets
+// new landlords sign up. Staff of an existing organization must be invited (see /api/invites).
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, organizationName } = req.body;
+
+    const signupOpen = process.env.ALLOW_ORGANIZATION_SIGNUP === "true";
+    const userCount = await User.countDocuments();
+    if (userCount > 0 && !signupOpen) {
+      return res.status(403).json({ 
+        success: false,
+        message: "Registration is closed. Ask an existing admin for an invite." 
+      });
+    }
 
     // Validation
     if (!name) {
@@ -43,20 +78,144 @@ router.post("/register", async (req, res) => {
 
     const passwordHash = await bcrypt.hash(password, 10);
 
+    // With sign-up closed, two registrations racing on an empty install cannot both
+    // create the founding organization
+    let organization;
+    try {
+      organization = await Organization.create({
+        name: organizationName || `${name}'s Organization`,
+        founding: signupOpen ? undefined : true,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(403).json({ 
+          success: false,
+          message: "Registration is closed. Ask an existing admin for an invite." 
+        });
+      }
+      throw error;
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name,
+        email,
+        passwordHash,
+        role: "owner",
+        organization: organization._id,
+      });
+    } catch (error) {
+      // Without its owner the organization would block the next registration
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+
+    res.status(201).json({ 
+      success: true,
+      message: "Owner account created successfully", 
+      data: { id: user._id, organization: organization._id } 
+    });
+  } catch (error) {
+    console.error("Register error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while registering admin" 
+    });
+  }
+});
+
+// POST /api/auth/accept-invite - Redeem an invite token and set a password
+router.post("/accept-invite", async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    // Validation
+    if (!token) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invite token is required" 
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Name is required" 
+      });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Password must be at least 6 characters long" 
+      });
+    }
+
+    const openInvite = {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    };
+
+    const pendingInvite = await Invite.findOne(openInvite);
+    if (!pendingInvite) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invite is invalid, expired or already used" 
+      });
+    }
+
+    // Checked before claiming so a conflict does not use up the invite
+    const existing = await User.findOne({ email: pendingInvite.email });
+    if (existing) {
+      return res.status(400).json({ 
+        success: false,
+        message: "User with this email already exists" 
+      });
+    }
+
+    // Claim the invite atomically so it can only be redeemed once
+    const invite = await Invite.findOneAndUpdate(
+      { ...openInvite, _id: pendingInvite._id },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invite is invalid, expired or already used" 
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({
       name,
-      email,
+      email: invite.email,
       passwordHash,
-      role: "admin",
+      role: invite.role,
+      organization: invite.organization,
     });
 
+    invite.acceptedBy = user._id;
+    await invite.save();
+
     res.status(201).json({ 
       success: true,
-      message: "Admin created successfully", 
-      data: { id: user._id } 
+      message: "Invite accepted. You can now log in.", 
+      data: { id: user._id, email: user.email, role: user.role } 
     });
   } catch (error) {
-    console.error("Register error:", error.message);
+    console.error("Accept invite error:", error.message);
     if (error.name === 'ValidationError') {
       return res.status(400).json({ 
         success: false,
@@ -66,7 +225,7 @@ router.post("/register", async (req, res) => {
     }
     res.status(500).json({ 
       success: false,
-      message: "Server error while registering admin" 
+      message: "Server error while accepting invite" 
     });
   }
 });
@@ -84,40 +243,65 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ email, role: "admin" });
-    if (!user) {
-      return res.status(400).json({ 
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({ 
         success: false,
-        message: "Invalid credentials" 
+        message: throttle.locked
+          ? "Too many failed attempts. Login is temporarily locked."
+          : "Too many failed attempts. Please wait before trying again.",
+        retryAfterSeconds: throttle.retryAfterSeconds
       });
     }
 
-    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    const user = await User.findOne({ email });
+    const isMatch = user && user.isActive
+      ? await bcrypt.compare(password, user.passwordHash)
+      : false;
     if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip });
       return res.status(400).json({ 
         success: false,
         message: "Invalid credentials" 
       });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Second step: the client must call POST /api/auth/2fa/verify with this token
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication code required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user, "2fa_login"),
+        },
+      });
+    }
+
+    if (user.role !== TENANT_ROLE) {
+      // No organization context before login, so filter explicitly
+      const settings = await Settings.findOne({ organization: user.organization });
+      if (settings && settings.security && settings.security.requireTwoFactor) {
+        // Enrolment only: POST /api/auth/2fa/setup and /2fa/enable accept this token
+        return res.json({
+          success: true,
+          message: "Two-factor authentication must be set up before logging in",
+          data: {
+            twoFactorSetupRequired: true,
+            challengeToken: signChallengeToken(user, "2fa_enroll"),
+          },
+        });
+      }
+    }
+
+    await recordLoginSuccess({ email });
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
       message: "Login successful",
-      data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-        },
-      },
+      data: buildAuthPayload(user, tokens),
     });
   } catch (error) {
     console.error("Login error:", error.message);
@@ -128,4 +312,309 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Refresh token is required" 
+      });
+    }
+
+    const result = await rotateRefreshToken(
+      refreshToken,
+      (userId) => User.findById(userId),
+      req
+    );
+
+    if (!result) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Refresh token invalid, expired or revoked" 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: buildAuthPayload(result.user, result),
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while refreshing token" 
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session
+router.post("/logout", authRequired, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.session, "logout");
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while logging out" 
+    });
+  }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get("/sessions", authRequired, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-refreshTokenHash")
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.session._id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching sessions" 
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete("/sessions/:id", authRequired, requireSession, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Session not found" 
+      });
+    }
+
+    await revokeSession(session, "revoked_by_user");
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Session revoke error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid session ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while revoking session" 
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Revoke all other sessions of the current user
+router.delete("/sessions", authRequired, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, "revoked_by_user", req.session._id);
+
+    res.json({
+      success: true,
+      message: `Revoked ${revoked} other sessions`,
+    });
+  } catch (error) {
+    console.error("Session revoke error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while revoking sessions" 
+    });
+  }
+});
+
+// POST /api/auth/change-password - Change the password of the logged-in user
+router.post("/change-password", authRequired, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Current password is required" 
+      });
+    }
+
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ 
+        success: false,
+        message: "New password must be at least 6 characters long" 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isMatch) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Current password is incorrect" 
+      });
+    }
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep the session that made the change, sign out everywhere else
+    await revokeUserSessions(user._id, "password_changed", req.session._id);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+    });
+  } catch (error) {
+    console.error("Change password error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while changing password" 
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a one-time reset link
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Email is required" 
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const response = {
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    // Only the most recent reset link is valid
+    await PasswordResetToken.updateMany(
+      { user: user._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+    });
+
+    const appUrl = process.env.APP_URL || "http://localhost:3000";
+    // A failed send gets the same response too, so it cannot reveal that the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.\n\n${appUrl}/reset-password?token=${token}\n\nIf you did not request this, you can ignore this email.`,
+      });
+    } catch (mailError) {
+      console.error("Failed to send password reset email:", mailError.message);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Forgot password error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while requesting password reset" 
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Reset token is required" 
+      });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Password must be at least 6 characters long" 
+      });
+    }
+
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Reset token is invalid or has expired" 
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Reset token is invalid or has expired" 
+      });
+    }
+
+    user.passwordHash = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await revokeUserSessions(user._id, "password_reset");
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while resetting password" 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
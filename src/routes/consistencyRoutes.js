@@ -0,0 +1,54 @@
+import express from "express";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { checkConsistency } from "../services/consistencyService.js";
+
+const router = express.Router();
+
+// GET /api/consistency  (report records that disagree with each other; changes nothing)
+router.get("/", authRequired, requirePermission("consistency:manage"), async (req, res) => {
+  try {
+    const report = await checkConsistency();
+
+    res.status(200).json({
+      success: true,
+      message: report.issues.length === 0
+        ? "No inconsistencies found"
+        : `${report.issues.length} inconsistenc${report.issues.length === 1 ? "y" : "ies"} found`,
+      data: report
+    });
+  } catch (error) {
+    console.error("Consistency check error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while checking consistency"
+    });
+  }
+});
+
+// POST /api/consistency/repair  (fix room occupancy and invoice balances; double-booked beds are only reported)
+router.post("/repair", authRequired, requirePermission("consistency:manage"), async (req, res) => {
+  try {
+    const report = await checkConsistency({ repair: true });
+
+    res.status(200).json({
+      success: true,
+      message: `${report.summary.repaired} inconsistenc${report.summary.repaired === 1 ? "y" : "ies"} repaired`,
+      data: report
+    });
+  } catch (error) {
+    console.error("Consistency repair error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while repairing consistency"
+    });
+  }
+});
+
+export default router;
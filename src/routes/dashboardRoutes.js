@@ -5,15 +5,16 @@ import Lease from "../models/Lease.js";
 import Invoice from "../models/Invoice.js";
 import Payment from "../models/Payment.js";
 import LightBill from "../models/LightBill.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getPropertyRoomIds } from "../services/propertyService.js";
 
 const router = express.Router();
 
-// GET /api/dashboard - Get comprehensive dashboard statistics
-router.get("/", authRequired, async (req, res) => {
+// GET /api/dashboard?month=...&year=...&propertyId=... - Get comprehensive dashboard statistics
+router.get("/", authRequired, requirePermission("dashboard:read"), async (req, res) => {
   try {
     // Get current date for filtering or use provided month/year
-    const { month, year } = req.query;
+    const { month, year, propertyId } = req.query;
     let currentDate, startOfMonth, endOfMonth;
     
     if (month && year) {
@@ -31,15 +32,34 @@ router.get("/", authRequired, async (req, res) => {
     
     const sixMonthsAgo = new Date(currentDate.getFullYear(), currentDate.getMonth() - 5, 1);
 
+    // Property filter: empty objects when showing all properties.
+    // Archived rooms and tenants are left out of counts.
+    let roomFilter = { archivedAt: null };
+    let byRoom = {};
+    let byLease = {};
+    let tenantFilter = { archivedAt: null };
+    if (propertyId) {
+      const roomIds = await getPropertyRoomIds(propertyId);
+      const propertyLeases = await Lease.find({ room: { $in: roomIds } }).select("_id tenant");
+      roomFilter = { _id: { $in: roomIds }, archivedAt: null };
+      byRoom = { room: { $in: roomIds } };
+      byLease = { lease: { $in: propertyLeases.map((lease) => lease._id) } };
+      tenantFilter = { _id: { $in: propertyLeases.map((lease) => lease.tenant) }, archivedAt: null };
+    }
+    // Deposit refunds are paid out, so they never count as collections
+    const collectedPayments = { ...byLease, kind: { $ne: "deposit_refund" } };
+
     // 1. Total Rooms
-    const totalRooms = await Room.countDocuments();
+    const totalRooms = await Room.countDocuments(roomFilter);
 
     // 2. Active Tenants
-    const activeTenants = await Tenant.countDocuments({ status: "active" });
+    const activeTenants = await Tenant.countDocuments({ ...tenantFilter, status: "active" });
 
     // 3. This Month's Collection (Payments) - Enhanced breakdown
     // Get all invoices for the current month
     const currentMonthInvoices = await Invoice.find({
+      ...byRoom,
+      status: { $ne: "void" },
       periodFrom: { $lte: endOfMonth },
       periodTo: { $gte: startOfMonth }
     });
@@ -54,6 +74,7 @@ router.get("/", authRequired, async (req, res) => {
     const thisMonthInvoicePayments = await Payment.aggregate([
       {
         $match: {
+          ...collectedPayments,
           date: {
             $gte: startOfMonth,
             $lte: endOfMonth
@@ -74,6 +95,7 @@ router.get("/", authRequired, async (req, res) => {
     
     // Get light bills for the current month
     const currentMonthLightBills = await LightBill.find({
+      ...byRoom,
       issueDate: {
         $gte: startOfMonth,
         $lte: endOfMonth
@@ -90,6 +112,7 @@ router.get("/", authRequired, async (req, res) => {
     const thisMonthLightBillPayments = await LightBill.aggregate([
       {
         $match: {
+          ...byRoom,
           updatedAt: {
             $gte: startOfMonth,
             $lte: endOfMonth
@@ -120,12 +143,14 @@ router.get("/", authRequired, async (req, res) => {
 
     // 4. Overdue Invoices
     const overdueInvoices = await Invoice.countDocuments({ 
+      ...byRoom,
       status: "overdue",
       dueDate: { $lt: currentDate }
     });
 
     // 5. Room Availability
     const roomAvailability = await Room.aggregate([
+      { $match: roomFilter },
       {
         $group: {
           _id: "$status",
@@ -140,18 +165,33 @@ router.get("/", authRequired, async (req, res) => {
       roomAvailabilityObj[item._id] = item.count;
     });
 
+    // Bed occupancy across rooms
+    const bedTotals = await Room.aggregate([
+      { $match: roomFilter },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $ifNull: ["$capacity", 1] } },
+          occupied: { $sum: { $ifNull: ["$currentOccupancy", 0] } }
+        }
+      }
+    ]);
+    const totalBeds = bedTotals.length > 0 ? bedTotals[0].total : 0;
+    const occupiedBeds = bedTotals.length > 0 ? bedTotals[0].occupied : 0;
+
     // 6. Recent Invoices (last 5)
-    const recentInvoices = await Invoice.find()
+    const recentInvoices = await Invoice.find(byRoom)
       .sort({ createdAt: -1 })
       .limit(5)
       .populate("tenant", "fullName")
       .populate("room", "name");
 
     // 7. Active Leases
-    const activeLeases = await Lease.countDocuments({ status: "active" });
+    const activeLeases = await Lease.countDocuments({ ...byRoom, status: "active" });
 
     // 8. Upcoming Leases
     const upcomingLeases = await Lease.countDocuments({ 
+      ...byRoom,
       status: "upcoming",
       startDate: { $gte: currentDate }
     });
@@ -160,6 +200,7 @@ router.get("/", authRequired, async (req, res) => {
     const thisMonthLightBills = await LightBill.aggregate([
       {
         $match: {
+          ...byRoom,
           issueDate: {
             $gte: startOfMonth,
             $lte: endOfMonth
@@ -178,11 +219,12 @@ router.get("/", authRequired, async (req, res) => {
 
     // 10. Pending Light Bills
     const pendingLightBills = await LightBill.countDocuments({ 
+      ...byRoom,
       status: { $in: ["unpaid", "partially_paid"] }
     });
 
     // 11. Recent Payments (last 5)
-    const recentPayments = await Payment.find()
+    const recentPayments = await Payment.find(collectedPayments)
       .sort({ date: -1 })
       .limit(5)
       .populate("tenant", "fullName")
@@ -197,7 +239,7 @@ router.get("/", authRequired, async (req, res) => {
 
     // 13. Invoice Summary (for the specified month if provided)
     // Build query for invoices based on month/year
-    let invoiceQuery = {};
+    let invoiceQuery = { ...byRoom, status: { $ne: "void" } };
     if (month && year) {
       invoiceQuery.periodFrom = { $gte: startOfMonth };
       invoiceQuery.periodTo = { $lte: endOfMonth };
@@ -219,6 +261,7 @@ router.get("/", authRequired, async (req, res) => {
     const monthlyInvoicePayments = await Payment.aggregate([
       {
         $match: {
+          ...collectedPayments,
           date: { $gte: sixMonthsAgo }
         }
       },
@@ -241,6 +284,7 @@ router.get("/", authRequired, async (req, res) => {
     const monthlyLightBillPayments = await LightBill.aggregate([
       {
         $match: {
+          ...byRoom,
           updatedAt: { $gte: sixMonthsAgo },
           paidAmount: { $gt: 0 }
         }
@@ -313,6 +357,7 @@ router.get("/", authRequired, async (req, res) => {
     // 15. Month-wise payment details
     // Get detailed payment information for the current month
     const thisMonthPaymentDetails = await Payment.find({
+      ...collectedPayments,
       date: {
         $gte: startOfMonth,
         $lte: endOfMonth
@@ -324,6 +369,7 @@ router.get("/", authRequired, async (req, res) => {
 
     // Get detailed light bill payment information for the current month
     const thisMonthLightBillDetails = await LightBill.find({
+      ...byRoom,
       updatedAt: {
         $gte: startOfMonth,
         $lte: endOfMonth
@@ -378,6 +424,7 @@ router.get("/", authRequired, async (req, res) => {
 
     // 17. Room status distribution (chart data)
     const roomStatusDistribution = await Room.aggregate([
+      { $match: roomFilter },
       {
         $group: {
           _id: "$status",
@@ -388,6 +435,7 @@ router.get("/", authRequired, async (req, res) => {
 
     // 18. Tenant status distribution (chart data)
     const tenantStatusDistribution = await Tenant.aggregate([
+      { $match: tenantFilter },
       {
         $group: {
           _id: "$status",
@@ -397,7 +445,7 @@ router.get("/", authRequired, async (req, res) => {
     ]);
 
     // 19. Detailed room information
-    const detailedRooms = await Room.find()
+    const detailedRooms = await Room.find(roomFilter)
       .populate({
         path: "currentLease",
         populate: [
@@ -406,14 +454,14 @@ router.get("/", authRequired, async (req, res) => {
       });
 
     // 20. Recent Light Bills (last 5)
-    const recentLightBills = await LightBill.find()
+    const recentLightBills = await LightBill.find(byRoom)
       .sort({ createdAt: -1 })
       .limit(5)
       .populate("tenant", "fullName")
       .populate("room", "name");
 
     // 21. Light Bill Summary
-    const allLightBills = await LightBill.find();
+    const allLightBills = await LightBill.find(byRoom);
     let totalLightBillAmount = 0;
     let totalLightBillPaid = 0;
     let totalLightBillPending = 0;
@@ -430,6 +478,12 @@ router.get("/", authRequired, async (req, res) => {
         // Main dashboard metrics
         overview: {
           totalRooms,
+          beds: {
+            total: totalBeds,
+            occupied: occupiedBeds,
+            vacant: Math.max(totalBeds - occupiedBeds, 0),
+            occupancyRate: totalBeds > 0 ? Math.round((occupiedBeds / totalBeds) * 100) : 0
+          },
           activeTenants,
           activeLeases,
           upcomingLeases,
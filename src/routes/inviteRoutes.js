@@ -0,0 +1,170 @@
+import express from "express";
+import crypto from "crypto";
+import Invite from "../models/Invite.js";
+import User from "../models/User.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { hashToken } from "../services/tokenService.js";
+import { ROLES } from "../config/permissions.js";
+
+const router = express.Router();
+
+const DEFAULT_INVITE_DAYS = 7;
+
+// GET /api/invites?status=pending
+router.get("/", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (status === "pending") {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === "accepted") {
+      query.acceptedAt = { $ne: null };
+    } else if (status === "revoked") {
+      query.revokedAt = { $ne: null };
+    } else if (status === "expired") {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const invites = await Invite.find(query)
+      .select("-tokenHash")
+      .populate("invitedBy", "name email")
+      .populate("acceptedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites
+    });
+  } catch (error) {
+    console.error("Error fetching invites:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invites"
+    });
+  }
+});
+
+// POST /api/invites - Invite a new staff user. The token is only returned here.
+router.post("/", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { email, role, expiresInDays = DEFAULT_INVITE_DAYS } = req.body;
+
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required"
+      });
+    }
+
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      });
+    }
+
+    if (!(expiresInDays > 0) || expiresInDays > 30) {
+      return res.status(400).json({
+        success: false,
+        message: "Invite expiry must be between 1 and 30 days"
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    // Emails are unique across organizations
+    const existingUser = await User.findOne({ email: normalizedEmail }).setOptions({ skipOrganizationScope: true });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: "User with this email already exists"
+      });
+    }
+
+    // Only the latest invite for an email can be redeemed
+    await Invite.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invite = await Invite.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invite created successfully",
+      data: {
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt,
+        token,
+      }
+    });
+  } catch (error) {
+    console.error("Invite creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating invite"
+    });
+  }
+});
+
+// DELETE /api/invites/:id - Revoke a pending invite
+router.delete("/:id", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id).select("-tokenHash");
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: "Invite not found"
+      });
+    }
+
+    if (invite.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Invite is already ${invite.status}`
+      });
+    }
+
+    invite.revokedAt = new Date();
+    await invite.save();
+
+    res.json({
+      success: true,
+      message: "Invite revoked successfully",
+      data: invite
+    });
+  } catch (error) {
+    console.error("Invite revoke error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invite ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking invite"
+    });
+  }
+});
+
+export default router;
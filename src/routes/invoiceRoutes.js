@@ -1,21 +1,26 @@
 import express from "express";
+import { isWriteConflict, withTransaction } from "../config/db.js";
 import Invoice from "../models/Invoice.js";
 import Lease from "../models/Lease.js";
-import Payment from "../models/Payment.js";
-import Settings from "../models/Settings.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import Room from "../models/Room.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getPropertyRoomIds, getEffectiveSettings } from "../services/propertyService.js";
 import { createPaymentNotification, createInvoiceNotification } from "../services/notificationService.js";
+import { recordInvoicePayment } from "../services/paymentService.js";
+import { computePeriodRent } from "../services/prorationService.js";
+import { applyLeaseCredit } from "../services/transferService.js";
 
 const router = express.Router();
 
-// GET /api/invoices?status=unpaid&tenantId=...&month=...&year=...
-router.get("/", authRequired, async (req, res) => {
+// GET /api/invoices?status=unpaid&tenantId=...&propertyId=...&month=...&year=...
+router.get("/", authRequired, requirePermission("invoices:read"), async (req, res) => {
   try {
-    const { status, tenantId, month, year } = req.query;
+    const { status, tenantId, propertyId, month, year } = req.query;
     const query = {};
 
     if (status) query.status = status;
     if (tenantId) query.tenant = tenantId;
+    if (propertyId) query.room = { $in: await getPropertyRoomIds(propertyId) };
 
     // Filter by specific month/year if provided
     if (month && year) {
@@ -36,7 +41,8 @@ router.get("/", authRequired, async (req, res) => {
     let totalCollected = 0;
     let totalPending = 0;
 
-    invoices.forEach((invoice) => {
+    // Void invoices are listed but not collected
+    invoices.filter((invoice) => invoice.status !== "void").forEach((invoice) => {
       totalExpected += invoice.totalAmount || 0;
       totalCollected += invoice.paidAmount || 0;
       totalPending += invoice.totalAmount - (invoice.paidAmount || 0);
@@ -61,37 +67,41 @@ router.get("/", authRequired, async (req, res) => {
   }
 });
 
-// POST /api/invoices/generate-monthly
-router.post("/generate-monthly", authRequired, async (req, res) => {
+// POST /api/invoices/generate-monthly  (optional body: { propertyId })
+router.post("/generate-monthly", authRequired, requirePermission("invoices:write"), async (req, res) => {
   try {
     const today = new Date();
     const year = today.getFullYear();
     const month = today.getMonth() + 1; // JavaScript months are 0-indexed
+    const propertyId = (req.body && req.body.propertyId) || req.query.propertyId;
 
-    // Find all active leases
-    const leases = await Lease.find({ status: "active" }).populate(
+    // Bill the current calendar month
+    const periodFrom = new Date(year, month - 1, 1);
+    const periodTo = new Date(year, month, 0);
+
+    // Find all active leases and upcoming ones moving in this month, optionally only in one property
+    const leaseQuery = {
+      $or: [{ status: "active" }, { status: "upcoming", startDate: { $lt: new Date(year, month, 1) } }],
+    };
+    if (propertyId) leaseQuery.room = { $in: await getPropertyRoomIds(propertyId) };
+
+    const leases = await Lease.find(leaseQuery).populate(
       "tenant room",
-      "fullName phone name floor"
+      "fullName phone name floor property"
     );
 
     const created = [];
+    const settingsByProperty = {};
 
     for (const lease of leases) {
-      // Calculate periodFrom based on lease startDate
-      const periodFrom = new Date(lease.startDate);
-      // Set periodTo to 30 days after periodFrom
-      const periodTo = new Date(periodFrom);
-      periodTo.setDate(periodTo.getDate() + 30);
-      
-      // Normalize dates to remove time component
-      periodFrom.setHours(0, 0, 0, 0);
-      periodTo.setHours(0, 0, 0, 0);
-      
-      // Check if invoice already exists for this lease and period
+      // Check if a rent invoice already exists for this lease overlapping the period;
+      // charges invoices (e.g. a notice shortfall) do not cover the rent
       const existingInvoice = await Invoice.findOne({
         lease: lease._id,
-        periodFrom: periodFrom,
-        periodTo: periodTo,
+        kind: { $ne: "charges" },
+        periodFrom: { $lte: periodTo },
+        periodTo: { $gte: periodFrom },
+        status: { $ne: "void" },
       });
 
       if (existingInvoice) {
@@ -104,16 +114,33 @@ router.post("/generate-monthly", authRequired, async (req, res) => {
       const issueDate = today;
       const dueDate = new Date(year, month, lease.billingDay || 1);
 
-      const invoice = await Invoice.create({
+      const propertyKey = String(lease.room.property || "global");
+      if (!settingsByProperty[propertyKey]) {
+        settingsByProperty[propertyKey] = await getEffectiveSettings(lease.room.property);
+      }
+
+      // Leases moving in or out this month are billed only for their days
+      const rent = computePeriodRent(lease, periodFrom, periodTo, settingsByProperty[propertyKey].prorationMethod);
+      if (!rent) {
+        continue;
+      }
+
+      const invoice = new Invoice({
         lease: lease._id,
         tenant: lease.tenant._id,
         room: lease.room._id,
-        periodFrom,
-        periodTo,
+        periodFrom: rent.periodFrom,
+        periodTo: rent.periodTo,
         issueDate,
         dueDate,
-        baseAmount: lease.rentPerMonth,
-        totalAmount: lease.rentPerMonth,
+        baseAmount: rent.baseAmount,
+        proration: rent.proration || undefined,
+        totalAmount: rent.baseAmount,
+      });
+      // Credit left over from a room transfer is taken off the next invoices
+      await withTransaction(async () => {
+        await applyLeaseCredit(invoice, lease);
+        await invoice.save();
       });
 
       await invoice.populate("tenant", "fullName phone");
@@ -145,7 +172,7 @@ router.post("/generate-monthly", authRequired, async (req, res) => {
 });
 
 // POST /api/invoices/:id/pay
-router.post("/:id/pay", authRequired, async (req, res) => {
+router.post("/:id/pay", authRequired, requirePermission("payments:write"), async (req, res) => {
   try {
     const { amount, date, mode, note } = req.body;
 
@@ -157,6 +184,13 @@ router.post("/:id/pay", authRequired, async (req, res) => {
       });
     }
 
+    if (mode === "deposit") {
+      return res.status(400).json({
+        success: false,
+        message: "Deposit deductions are recorded through the move-out settlement",
+      });
+    }
+
     const invoice = await Invoice.findById(req.params.id);
     if (!invoice) {
       return res.status(404).json({
@@ -165,36 +199,16 @@ router.post("/:id/pay", authRequired, async (req, res) => {
       });
     }
 
-    // Check if payment would exceed total amount
-    const newPaidAmount = (invoice.paidAmount || 0) + amount;
-    if (newPaidAmount > invoice.totalAmount) {
+    // The payment and the invoice update are written together; the invoice update
+    // only applies if the amount still fits, even with concurrent payments
+    const result = await recordInvoicePayment(invoice._id, { amount, date, mode, note });
+    if (result.error) {
       return res.status(400).json({
         success: false,
-        message: `Payment would exceed total invoice amount. Maximum allowable payment: ${
-          invoice.totalAmount - (invoice.paidAmount || 0)
-        }`,
+        message: result.error,
       });
     }
-
-    // Create payment record
-    const payment = await Payment.create({
-      invoice: invoice._id,
-      lease: invoice.lease,
-      tenant: invoice.tenant,
-      amount,
-      date: date || new Date(),
-      mode: mode || "cash",
-      note,
-    });
-
-    // Update invoice
-    invoice.paidAmount = newPaidAmount;
-    if (invoice.paidAmount >= invoice.totalAmount) {
-      invoice.status = "paid";
-    } else if (invoice.paidAmount > 0) {
-      invoice.status = "partially_paid";
-    }
-    await invoice.save();
+    const { payment } = result;
 
     // Populate references
     await payment.populate("tenant", "fullName phone");
@@ -211,10 +225,23 @@ router.post("/:id/pay", authRequired, async (req, res) => {
     res.status(201).json({
       success: true,
       message: "Payment recorded successfully",
-      data: { payment, invoice },
+      data: { payment, invoice: result.invoice },
     });
   } catch (error) {
     console.error("Payment recording error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Invoice was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: "Server error while recording payment",
@@ -223,26 +250,29 @@ router.post("/:id/pay", authRequired, async (req, res) => {
 });
 
 // POST /api/invoices/recalculate-late-fees
-router.post("/recalculate-late-fees", authRequired, async (req, res) => {
+router.post("/recalculate-late-fees", authRequired, requirePermission("invoices:write"), async (req, res) => {
   try {
-    const settings = await Settings.findOne();
-    if (!settings) {
-      return res.status(400).json({
-        success: false,
-        message: "Settings not configured",
-      });
-    }
-
-    const { lateFeeConfig } = settings;
     const today = new Date();
 
     const invoices = await Invoice.find({
       status: { $in: ["unpaid", "partially_paid"] },
     });
 
+    // Late fee rules can differ per property, resolve them once per property
+    const roomProperties = {};
+    (await Room.find({ _id: { $in: invoices.map((invoice) => invoice.room) } }).select("property"))
+      .forEach((room) => { roomProperties[String(room._id)] = room.property; });
+    const settingsByProperty = {};
+
     let updatedCount = 0;
 
     for (const invoice of invoices) {
+      const propertyKey = String(roomProperties[String(invoice.room)] || "global");
+      if (!settingsByProperty[propertyKey]) {
+        settingsByProperty[propertyKey] = await getEffectiveSettings(roomProperties[String(invoice.room)]);
+      }
+      const { lateFeeConfig } = settingsByProperty[propertyKey];
+
       const diffDays = Math.floor(
         (today - invoice.dueDate) / (1000 * 60 * 60 * 24)
       );
@@ -261,7 +291,7 @@ router.post("/recalculate-late-fees", authRequired, async (req, res) => {
 
       if (lateFee !== invoice.lateFee) {
         invoice.lateFee = lateFee;
-        invoice.totalAmount = invoice.baseAmount + lateFee;
+        invoice.recalculateTotal();
         await invoice.save();
         updatedCount++;
       }
@@ -1,21 +1,54 @@
 import express from "express";
+import { withTransaction, isWriteConflict } from "../config/db.js";
 import Lease from "../models/Lease.js";
 import Room from "../models/Room.js";
 import Tenant from "../models/Tenant.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import { PAYMENT_MODES } from "../models/Payment.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getPropertyRoomIds, getEffectiveSettings } from "../services/propertyService.js";
+import { findFreeBed, lockRoom, syncRoomOccupancy } from "../services/occupancyService.js";
+import { buildChecklist, applyChecklistToInventory, diffChecklists } from "../services/inventoryService.js";
+import { getRentForDate } from "../services/rentRevisionService.js";
+import { statusForDates, daysUntil } from "../services/leaseLifecycleService.js";
+import { applyTransferAdjustments } from "../services/transferService.js";
+import {
+  getDepositBalance,
+  buildSettlementStatement,
+  finalizeSettlement,
+  getFinalizedStatement,
+} from "../services/settlementService.js";
+import { recordNotice, withdrawNotice, billNoticeShortfall } from "../services/noticeService.js";
+import { createNoticeNotification } from "../services/notificationService.js";
+import { findInvoiceConflicts, cancelLease } from "../services/leaseService.js";
+import {
+  validateEscalation,
+  getLeaseRentForDate,
+  getNextEscalation,
+  carryEscalation,
+  listUpcomingEscalations,
+} from "../services/escalationService.js";
 
 const router = express.Router();
 
-// GET /api/leases?status=active
-router.get("/", authRequired, async (req, res) => {
+const validateNoticePeriod = (days) =>
+  days === undefined || days === null || (Number.isInteger(days) && days >= 0);
+
+// Kept to 1-28 so the billing day exists in every month
+const validateBillingDay = (day) =>
+  day === undefined || day === null || (Number.isInteger(day) && day >= 1 && day <= 28);
+
+// GET /api/leases?status=active&propertyId=...&room=...
+router.get("/", authRequired, requirePermission("leases:read"), async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, propertyId, room } = req.query;
     const query = {};
     if (status) query.status = status;
+    if (room) query.room = room;
+    if (propertyId) query.room = { $in: await getPropertyRoomIds(propertyId) };
 
     const leases = await Lease.find(query)
       .populate("tenant", "fullName phone")
-      .populate("room", "name floor defaultRent");
+      .populate("room", "name floor capacity defaultRent rentPerBed");
     res.status(200).json({
       success: true,
       count: leases.length,
@@ -30,10 +63,130 @@ router.get("/", authRequired, async (req, res) => {
   }
 });
 
-// POST /api/leases  (create booking)
-router.post("/", authRequired, async (req, res) => {
+// GET /api/leases/expiring?days=30&propertyId=...  (leases ending soon that have not been renewed)
+router.get("/expiring", authRequired, requirePermission("leases:read"), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Days must be a whole number of zero or more" 
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const until = new Date(today);
+    until.setDate(until.getDate() + days);
+    until.setHours(23, 59, 59, 999);
+
+    const query = {
+      status: { $in: ["upcoming", "active"] },
+      nextLease: null,
+      endDate: { $gte: today, $lte: until },
+    };
+    if (req.query.propertyId) query.room = { $in: await getPropertyRoomIds(req.query.propertyId) };
+
+    const leases = await Lease.find(query)
+      .sort({ endDate: 1 })
+      .populate("tenant", "fullName phone")
+      .populate("room", "name floor");
+
+    res.status(200).json({
+      success: true,
+      count: leases.length,
+      data: leases.map((lease) => ({
+        ...lease.toObject(),
+        daysLeft: daysUntil(lease.endDate, today),
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching expiring leases:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching expiring leases" 
+    });
+  }
+});
+
+// GET /api/leases/escalations?days=30&propertyId=...  (rent increases due soon)
+router.get("/escalations", authRequired, requirePermission("leases:read"), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Days must be a whole number of zero or more" 
+      });
+    }
+
+    const filter = {};
+    if (req.query.propertyId) filter.room = { $in: await getPropertyRoomIds(req.query.propertyId) };
+
+    const escalations = await listUpcomingEscalations(days, filter);
+
+    res.status(200).json({
+      success: true,
+      count: escalations.length,
+      data: escalations.map(({ lease, date, currentRent, newRent, daysLeft }) => ({
+        ...lease.toObject(),
+        escalationDate: date,
+        currentRent,
+        newRent,
+        daysLeft,
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching upcoming escalations:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching upcoming escalations" 
+    });
+  }
+});
+
+// GET /api/leases/:id
+router.get("/:id", authRequired, requirePermission("leases:read"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate("tenant", "fullName phone email")
+      .populate("room", "name floor capacity defaultRent rentPerBed property")
+      .populate("previousLease", "room bed startDate endDate status")
+      .populate("nextLease", "room bed startDate endDate status");
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...lease.toObject(),
+        currentRent: getLeaseRentForDate(lease, new Date()),
+        nextEscalation: getNextEscalation(lease),
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching lease:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching lease" 
+    });
+  }
+});
+
+// POST /api/leases  (create booking for one bed of a room)
+router.post("/", authRequired, requirePermission("leases:write"), async (req, res) => {
   try {
-    const { tenant, room, startDate, endDate, rentPerMonth, depositAgreed, billingDay } = req.body;
+    const { tenant, room, bed, startDate, endDate, depositAgreed, billingDay, noticePeriodDays, escalation, moveInChecklist } = req.body;
 
     // Validation
     if (!tenant || !room) {
@@ -50,10 +203,10 @@ router.post("/", authRequired, async (req, res) => {
       });
     }
 
-    if (!rentPerMonth || rentPerMonth <= 0) {
+    if (endDate && new Date(endDate) < new Date(startDate)) {
       return res.status(400).json({ 
         success: false,
-        message: "Rent per month must be a positive number" 
+        message: "End date cannot be before start date" 
       });
     }
 
@@ -64,6 +217,28 @@ router.post("/", authRequired, async (req, res) => {
       });
     }
 
+    if (!validateBillingDay(billingDay)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Billing day must be between 1 and 28" 
+      });
+    }
+
+    if (!validateNoticePeriod(noticePeriodDays)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice period must be a whole number of days" 
+      });
+    }
+
+    const escalationResult = escalation !== undefined ? validateEscalation(escalation) : {};
+    if (escalationResult.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: escalationResult.error 
+      });
+    }
+
     // Check if tenant and room exist
     const tenantExists = await Tenant.findById(tenant);
     if (!tenantExists) {
@@ -73,6 +248,13 @@ router.post("/", authRequired, async (req, res) => {
       });
     }
 
+    if (tenantExists.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant is archived" 
+      });
+    }
+
     const roomExists = await Room.findById(room);
     if (!roomExists) {
       return res.status(404).json({ 
@@ -81,56 +263,71 @@ router.post("/", authRequired, async (req, res) => {
       });
     }
 
-    // Check if room is already occupied
-    if (roomExists.status === "occupied") {
+    if (roomExists.archivedAt) {
       return res.status(400).json({ 
         success: false,
-        message: "Room is already occupied" 
+        message: "Room is archived" 
       });
     }
 
-    // Check for overlapping leases for the same room
-    const leaseQuery = { 
-      room: room, 
-      status: { $in: ["upcoming", "active"] }
-    };
-    
-    // If endDate is provided, check for overlapping periods
-    if (endDate) {
-      leaseQuery.$or = [
-        { startDate: { $lte: new Date(startDate) }, endDate: { $gte: new Date(startDate) } },
-        { startDate: { $lte: new Date(endDate) }, endDate: { $gte: new Date(endDate) } },
-        { startDate: { $gte: new Date(startDate) }, endDate: { $lte: new Date(endDate) } }
-      ];
-    } else {
-      // If no endDate, check if there's any lease that starts before or at the same time
-      leaseQuery.startDate = { $lte: new Date(startDate) };
+    // Rent defaults to the room's per-bed rent (or its full rent for single rooms)
+    // in effect on the start date, including scheduled rent changes
+    const rentPerMonth = req.body.rentPerMonth ?? await getRentForDate(roomExists, startDate);
+    if (!rentPerMonth || rentPerMonth <= 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per month must be a positive number" 
+      });
     }
-    
-    const existingLease = await Lease.findOne(leaseQuery);
-    
-    if (existingLease) {
+
+    // Record the room's inventory as handed over, with any conditions noted at move-in
+    const { checklist, error: checklistError } = buildChecklist(roomExists, moveInChecklist || {}, req.user._id);
+    if (checklistError) {
       return res.status(400).json({ 
         success: false,
-        message: "Room already has an active or upcoming lease during this period" 
+        message: checklistError 
       });
     }
 
-    const lease = await Lease.create({
-      tenant,
-      room,
-      startDate,
-      endDate,
-      rentPerMonth,
-      depositAgreed,
-      billingDay,
-    });
+    // Fall back to the property's (or global) default billing day
+    const effectiveSettings = await getEffectiveSettings(roomExists.property);
+
+    // The bed check, the lease and the room update are written together
+    const { lease, error: bedError } = await withTransaction(async () => {
+      await lockRoom(room);
+
+      // A room accepts overlapping leases up to its capacity, one per bed
+      const { bed: assignedBed, error } = await findFreeBed(roomExists, startDate, endDate, bed);
+      if (error) {
+        return { error };
+      }
 
-    // Update room status and currentLease reference
-    await Room.findByIdAndUpdate(room, { 
-      status: "occupied",
-      currentLease: lease._id
+      const [created] = await Lease.create([{
+        tenant,
+        room,
+        bed: assignedBed,
+        startDate,
+        endDate,
+        rentPerMonth,
+        depositAgreed,
+        billingDay: billingDay ?? effectiveSettings.defaultBillingDay,
+        noticePeriodDays,
+        escalation: escalationResult.escalation || undefined,
+        // Leases starting in the future are upcoming until the lifecycle job activates them
+        status: statusForDates(startDate, endDate),
+        moveInChecklist: checklist,
+      }]);
+
+      // Update room occupancy, status and currentLease reference
+      await syncRoomOccupancy(room);
+      return { lease: created };
     });
+    if (bedError) {
+      return res.status(400).json({ 
+        success: false,
+        message: bedError 
+      });
+    }
 
     // Populate references
     await lease.populate("tenant", "fullName phone");
@@ -143,6 +340,12 @@ router.post("/", authRequired, async (req, res) => {
     });
   } catch (error) {
     console.error("Lease creation error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Room was changed by another request at the same time; try again" 
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({ 
         success: false,
@@ -157,10 +360,287 @@ router.post("/", authRequired, async (req, res) => {
   }
 });
 
+// PATCH /api/leases/:id  (fix rent, billing day, deposit, dates or bed)
+router.patch("/:id", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { startDate, endDate, bed, rentPerMonth, depositAgreed, depositPaid, billingDay, noticePeriodDays, escalation, notes } = req.body;
+
+    if (req.body.room !== undefined || req.body.tenant !== undefined) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant and room cannot be changed; use a room transfer or a new lease" 
+      });
+    }
+
+    if (rentPerMonth !== undefined && (typeof rentPerMonth !== "number" || rentPerMonth <= 0)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per month must be a positive number" 
+      });
+    }
+
+    for (const [field, value] of Object.entries({ depositAgreed, depositPaid })) {
+      if (value !== undefined && (typeof value !== "number" || value < 0)) {
+        return res.status(400).json({ 
+          success: false,
+          message: `${field} must be zero or a positive number` 
+        });
+      }
+    }
+
+    if (billingDay === null || !validateBillingDay(billingDay)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Billing day must be between 1 and 28" 
+      });
+    }
+
+    if (!validateNoticePeriod(noticePeriodDays)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice period must be a whole number of days" 
+      });
+    }
+
+    const escalationResult = escalation !== undefined ? validateEscalation(escalation) : {};
+    if (escalationResult.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: escalationResult.error 
+      });
+    }
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    // Closed leases only take notes
+    const otherChanges = [startDate, endDate, bed, rentPerMonth, depositAgreed, depositPaid, billingDay, noticePeriodDays, escalation]
+      .some((value) => value !== undefined);
+    if (!["upcoming", "active"].includes(lease.status) && otherChanges) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Only notes can be changed on a${lease.status === "ended" ? "n" : ""} ${lease.status} lease` 
+      });
+    }
+
+    const datesChanged = startDate !== undefined || endDate !== undefined || bed !== undefined;
+    const newStart = startDate !== undefined ? new Date(startDate) : lease.startDate;
+    const newEnd = endDate !== undefined ? (endDate ? new Date(endDate) : null) : lease.endDate;
+
+    let room;
+    if (datesChanged) {
+      if (isNaN(newStart.getTime()) || (newEnd && isNaN(newEnd.getTime()))) {
+        return res.status(400).json({ 
+          success: false,
+          message: "Start and end dates must be valid dates" 
+        });
+      }
+
+      if (newEnd && newEnd < newStart) {
+        return res.status(400).json({ 
+          success: false,
+          message: "End date cannot be before start date" 
+        });
+      }
+
+      // The end date of a renewed, transferred or vacating lease is managed by those flows
+      if (endDate !== undefined && (lease.nextLease || lease.notice)) {
+        return res.status(400).json({ 
+          success: false,
+          message: lease.notice
+            ? "Tenant has given notice; change the vacate date on the notice instead"
+            : "Lease has been renewed or transferred; its end date cannot be changed" 
+        });
+      }
+
+      room = await Room.findById(lease.room);
+      if (!room) {
+        return res.status(404).json({ 
+          success: false,
+          message: "Room not found" 
+        });
+      }
+
+      const conflicts = await findInvoiceConflicts(lease, { startDate: newStart, endDate: newEnd });
+      if (conflicts.length > 0) {
+        return res.status(400).json({ 
+          success: false,
+          message: `${conflicts.length} issued invoice(s) bill days outside the new lease dates; void or adjust them first`,
+          conflicts: conflicts.map((invoice) => ({
+            _id: invoice._id,
+            periodFrom: invoice.periodFrom,
+            periodTo: invoice.periodTo,
+            status: invoice.status
+          }))
+        });
+      }
+
+      lease.startDate = newStart;
+      lease.endDate = newEnd || undefined;
+      lease.status = statusForDates(newStart, newEnd);
+    }
+
+    if (depositPaid !== undefined) {
+      const settled = (lease.depositRefunded || 0) + (lease.depositTransferred || 0) + (lease.depositDeducted || 0);
+      if (depositPaid < settled) {
+        return res.status(400).json({ 
+          success: false,
+          message: `Deposit paid cannot be less than the ${settled} already refunded, carried over or deducted` 
+        });
+      }
+      lease.depositPaid = depositPaid;
+    }
+
+    // Rent, escalation and billing day changes apply to invoices issued from now on
+    if (rentPerMonth !== undefined) lease.rentPerMonth = rentPerMonth;
+    if (escalation !== undefined) {
+      // A renewal or transfer keeps counting from the original anniversaries
+      lease.escalation = escalationResult.escalation
+        ? { ...escalationResult.escalation, anchorDate: lease.escalation ? lease.escalation.anchorDate : undefined }
+        : undefined;
+    }
+    if (depositAgreed !== undefined) lease.depositAgreed = depositAgreed;
+    if (billingDay !== undefined) lease.billingDay = billingDay;
+    if (noticePeriodDays !== undefined) lease.noticePeriodDays = noticePeriodDays ?? undefined;
+    if (notes !== undefined) lease.notes = notes;
+
+    // The bed check and the lease and room updates are written together
+    const { error: bedError } = await withTransaction(async () => {
+      if (datesChanged) {
+        await lockRoom(room._id);
+        const { bed: assignedBed, error } = await findFreeBed(
+          room,
+          newStart,
+          newEnd,
+          bed ?? (lease.bed || 1),
+          lease._id
+        );
+        if (error) {
+          return { error };
+        }
+        lease.bed = assignedBed;
+      }
+
+      await lease.save();
+
+      if (datesChanged) {
+        await syncRoomOccupancy(lease.room);
+      }
+      return {};
+    });
+    if (bedError) {
+      return res.status(400).json({ 
+        success: false,
+        message: bedError 
+      });
+    }
+
+    await lease.populate("tenant", "fullName phone");
+    await lease.populate("room", "name floor");
+
+    res.json({
+      success: true,
+      message: "Lease updated successfully",
+      data: lease
+    });
+  } catch (error) {
+    console.error("Lease update error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Lease was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating lease" 
+    });
+  }
+});
+
+// PATCH /api/leases/:id/cancel  (booking that never went ahead; voids unpaid invoices)
+router.patch("/:id/cancel", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    const { error, voidedInvoices } = await withTransaction(async () => {
+      const result = await cancelLease(lease, reason);
+      if (!result.error) {
+        // Free the bed and update room occupancy
+        await syncRoomOccupancy(lease.room);
+      }
+      return result;
+    });
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    await lease.populate("tenant", "fullName phone");
+    await lease.populate("room", "name floor");
+
+    res.json({
+      success: true,
+      message: `Lease cancelled successfully. ${voidedInvoices.length} unpaid invoice(s) voided`,
+      data: {
+        lease,
+        voidedInvoices: voidedInvoices.map((invoice) => invoice._id),
+        depositToRefund: getDepositBalance(lease)
+      }
+    });
+  } catch (error) {
+    console.error("Lease cancel error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Lease was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while cancelling lease" 
+    });
+  }
+});
+
 // PATCH /api/leases/:id/end   (end booking)
-router.patch("/:id/end", authRequired, async (req, res) => {
+router.patch("/:id/end", authRequired, requirePermission("leases:write"), async (req, res) => {
   try {
-    const { endDate, notes } = req.body;
+    const { endDate, notes, moveOutChecklist } = req.body;
 
     const lease = await Lease.findById(req.params.id);
     if (!lease) return res.status(404).json({ 
@@ -168,15 +648,43 @@ router.patch("/:id/end", authRequired, async (req, res) => {
       message: "Lease not found" 
     });
 
+    if (!["upcoming", "active"].includes(lease.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Only upcoming or active leases can be ended" 
+      });
+    }
+
+    // Record the condition of the room's inventory at move-out
+    const room = await Room.findById(lease.room);
+    let checklist;
+    if (room) {
+      const result = buildChecklist(room, moveOutChecklist || {}, req.user._id);
+      if (result.error) {
+        return res.status(400).json({ 
+          success: false,
+          message: result.error 
+        });
+      }
+      checklist = result.checklist;
+    }
+
     lease.endDate = endDate || new Date();
     lease.status = "ended";
     lease.notes = notes;
-    await lease.save();
+    if (checklist) lease.moveOutChecklist = checklist;
+
+    await withTransaction(async () => {
+      await lease.save();
 
-    // Update room status and clear currentLease reference
-    await Room.findByIdAndUpdate(lease.room, { 
-      status: "vacant",
-      currentLease: null
+      // The room inventory now reflects the condition at move-out
+      if (room && checklist) {
+        applyChecklistToInventory(room, checklist);
+        await room.save();
+      }
+
+      // Free the bed and update room occupancy
+      await syncRoomOccupancy(lease.room);
     });
 
     // Populate references
@@ -190,6 +698,25 @@ router.patch("/:id/end", authRequired, async (req, res) => {
     });
   } catch (error) {
     console.error("Lease end error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Lease was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
     res.status(500).json({ 
       success: false,
       message: "Server error while ending lease" 
@@ -197,4 +724,896 @@ router.patch("/:id/end", authRequired, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// PUT /api/leases/:id/move-in-checklist  (correct conditions or add photos after move-in)
+router.put("/:id/move-in-checklist", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (lease.moveOutChecklist) {
+      return res.status(400).json({ 
+        success: false,
+        message: "The move-in checklist cannot be changed after move-out" 
+      });
+    }
+
+    const room = await Room.findById(lease.room);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    const { checklist, error } = buildChecklist(room, req.body, req.user._id);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    lease.moveInChecklist = checklist;
+    await lease.save();
+
+    res.json({
+      success: true,
+      message: "Move-in checklist updated successfully",
+      data: lease.moveInChecklist
+    });
+  } catch (error) {
+    console.error("Move-in checklist error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating move-in checklist" 
+    });
+  }
+});
+
+// GET /api/leases/:id/condition-report - Items damaged or missing between move-in and move-out
+router.get("/:id/condition-report", authRequired, requirePermission("leases:read"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate("tenant", "fullName phone")
+      .populate("room", "name floor");
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (!lease.moveInChecklist || !lease.moveOutChecklist) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Both a move-in and a move-out checklist are needed for a condition report" 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lease: lease._id,
+        tenant: lease.tenant,
+        room: lease.room,
+        moveInRecordedAt: lease.moveInChecklist.recordedAt,
+        moveOutRecordedAt: lease.moveOutChecklist.recordedAt,
+        ...diffChecklists(lease.moveInChecklist, lease.moveOutChecklist),
+      }
+    });
+  } catch (error) {
+    console.error("Error building condition report:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while building condition report" 
+    });
+  }
+});
+
+// POST /api/leases/:id/renew  (successor lease for the same bed, carrying over the deposit)
+router.post("/:id/renew", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { startDate, endDate, termMonths, rentPerMonth, depositAgreed, billingDay, escalation, notes } = req.body;
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (!["upcoming", "active"].includes(lease.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Only upcoming or active leases can be renewed" 
+      });
+    }
+
+    if (lease.nextLease) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Lease has already been renewed" 
+      });
+    }
+
+    if (lease.notice) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant has given notice; withdraw the notice before renewing" 
+      });
+    }
+
+    if (!validateBillingDay(billingDay)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Billing day must be between 1 and 28" 
+      });
+    }
+
+    // The renewal starts the day after the current term unless told otherwise
+    let newStart;
+    if (startDate) {
+      newStart = new Date(startDate);
+    } else if (lease.endDate) {
+      newStart = new Date(lease.endDate);
+      newStart.setDate(newStart.getDate() + 1);
+    } else {
+      return res.status(400).json({ 
+        success: false,
+        message: "Start date is required to renew a lease without an end date" 
+      });
+    }
+
+    if (isNaN(newStart.getTime()) || newStart <= lease.startDate) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Renewal must start after the current lease started" 
+      });
+    }
+
+    let newEnd = endDate ? new Date(endDate) : undefined;
+    if (!newEnd && termMonths !== undefined) {
+      if (!Number.isInteger(termMonths) || termMonths < 1) {
+        return res.status(400).json({ 
+          success: false,
+          message: "Term must be a whole number of months" 
+        });
+      }
+      newEnd = new Date(newStart);
+      newEnd.setMonth(newEnd.getMonth() + termMonths);
+      newEnd.setDate(newEnd.getDate() - 1);
+    }
+
+    if (newEnd && (isNaN(newEnd.getTime()) || newEnd < newStart)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "End date cannot be before start date" 
+      });
+    }
+
+    // Rent continues from where escalations have taken it by the renewal's start
+    const rent = rentPerMonth ?? getLeaseRentForDate(lease, newStart);
+    if (!rent || rent <= 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per month must be a positive number" 
+      });
+    }
+
+    // The escalation schedule carries over unless a new one (or null for none) is given
+    const escalationResult = escalation !== undefined
+      ? validateEscalation(escalation)
+      : { escalation: carryEscalation(lease, newStart) };
+    if (escalationResult.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: escalationResult.error 
+      });
+    }
+
+    const room = await Room.findById(lease.room);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    // The deposit still held moves to the renewal
+    const depositBalance = getDepositBalance(lease);
+
+    // The renewal and the closing of the current term are written together
+    const { renewal, error: bedError } = await withTransaction(async () => {
+      await lockRoom(room._id);
+
+      // The bed only needs to be free of other leases; the lease being renewed is ignored
+      const { error } = await findFreeBed(room, newStart, newEnd, lease.bed || 1, lease._id);
+      if (error) {
+        return { error };
+      }
+
+      const [created] = await Lease.create([{
+        tenant: lease.tenant,
+        room: lease.room,
+        bed: lease.bed || 1,
+        startDate: newStart,
+        endDate: newEnd,
+        rentPerMonth: rent,
+        depositAgreed: depositAgreed ?? lease.depositAgreed,
+        depositPaid: depositBalance,
+        billingDay: billingDay ?? lease.billingDay,
+        noticePeriodDays: lease.noticePeriodDays,
+        escalation: escalationResult.escalation || undefined,
+        status: statusForDates(newStart, newEnd),
+        // The room was handed over at the original move-in
+        moveInChecklist: lease.moveInChecklist ? lease.moveInChecklist.toObject() : undefined,
+        previousLease: lease._id,
+        notes,
+      }]);
+
+      // Close the current term the day before the renewal starts
+      const lastDay = new Date(newStart);
+      lastDay.setDate(lastDay.getDate() - 1);
+      if (!lease.endDate || lease.endDate > lastDay) {
+        // Restored if the renewal is cancelled
+        lease.endDateBeforeRenewal = lease.endDate ?? null;
+        lease.endDate = lastDay;
+      }
+      lease.nextLease = created._id;
+      lease.depositTransferred = (lease.depositTransferred || 0) + depositBalance;
+      await lease.save();
+
+      await syncRoomOccupancy(lease.room);
+      return { renewal: created };
+    });
+    if (bedError) {
+      return res.status(400).json({ 
+        success: false,
+        message: bedError 
+      });
+    }
+
+    await renewal.populate("tenant", "fullName phone");
+    await renewal.populate("room", "name floor");
+
+    res.status(201).json({
+      success: true,
+      message: "Lease renewed successfully",
+      data: renewal
+    });
+  } catch (error) {
+    console.error("Lease renewal error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Lease was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while renewing lease" 
+    });
+  }
+});
+
+// POST /api/leases/:id/transfer  (move the tenant to another room or bed mid-lease)
+router.post("/:id/transfer", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { room, bed, transferDate, rentPerMonth, depositAgreed, moveOutChecklist, moveInChecklist, notes } = req.body;
+
+    if (!room) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Target room is required" 
+      });
+    }
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (!["upcoming", "active"].includes(lease.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Only upcoming or active leases can be transferred" 
+      });
+    }
+
+    if (lease.nextLease) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Lease has already been renewed or transferred" 
+      });
+    }
+
+    const moveDate = transferDate ? new Date(transferDate) : new Date();
+    moveDate.setHours(0, 0, 0, 0);
+    if (isNaN(moveDate.getTime()) || moveDate <= lease.startDate) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Transfer date must be after the lease start date" 
+      });
+    }
+
+    if (lease.endDate && moveDate > lease.endDate) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Transfer date cannot be after the lease end date" 
+      });
+    }
+
+    const [oldRoom, newRoom] = await Promise.all([Room.findById(lease.room), Room.findById(room)]);
+    if (!oldRoom || !newRoom) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    if (newRoom.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Room is archived" 
+      });
+    }
+
+    const sameRoom = String(newRoom._id) === String(oldRoom._id);
+    if (sameRoom && (bed === undefined || Number(bed) === (lease.bed || 1))) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Choose a different room or bed to transfer to" 
+      });
+    }
+
+    const rent = rentPerMonth ?? (await getRentForDate(newRoom, moveDate));
+    if (!rent || rent <= 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per month must be a positive number" 
+      });
+    }
+
+    const moveOut = buildChecklist(oldRoom, moveOutChecklist || {}, req.user._id);
+    if (moveOut.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: moveOut.error 
+      });
+    }
+
+    const moveIn = buildChecklist(newRoom, moveInChecklist || {}, req.user._id);
+    if (moveIn.error) {
+      return res.status(400).json({ 
+        success: false,
+        message: moveIn.error 
+      });
+    }
+
+    // The deposit still held moves with the tenant
+    const depositBalance = getDepositBalance(lease);
+
+    // Both leases, both rooms and the invoice adjustments are written together
+    const { transferred, adjustments, error: bedError } = await withTransaction(async () => {
+      await lockRoom(newRoom._id);
+
+      // Within the same room the tenant's current bed does not count as taken
+      const { bed: assignedBed, error } = await findFreeBed(
+        newRoom,
+        moveDate,
+        lease.endDate,
+        bed,
+        sameRoom ? lease._id : undefined
+      );
+      if (error) {
+        return { error };
+      }
+
+      const [created] = await Lease.create([{
+        tenant: lease.tenant,
+        room: newRoom._id,
+        bed: assignedBed,
+        startDate: moveDate,
+        endDate: lease.endDate,
+        rentPerMonth: rent,
+        depositAgreed: depositAgreed ?? lease.depositAgreed,
+        depositPaid: depositBalance,
+        billingDay: lease.billingDay,
+        noticePeriodDays: lease.noticePeriodDays,
+        // Increases stay on the tenant's original anniversaries
+        escalation: carryEscalation(lease, moveDate),
+        status: statusForDates(moveDate, lease.endDate),
+        moveInChecklist: moveIn.checklist,
+        previousLease: lease._id,
+        notes,
+      }]);
+
+      // The old occupancy ends the day before the move; the lifecycle job ends future transfers
+      const lastDay = new Date(moveDate);
+      lastDay.setDate(lastDay.getDate() - 1);
+      lease.endDate = lastDay;
+      if (moveDate <= new Date()) {
+        lease.status = "ended";
+      }
+      lease.transferredAt = moveDate;
+      lease.nextLease = created._id;
+      lease.depositTransferred = (lease.depositTransferred || 0) + depositBalance;
+      lease.moveOutChecklist = moveOut.checklist;
+      await lease.save();
+
+      applyChecklistToInventory(oldRoom, moveOut.checklist);
+      await oldRoom.save();
+
+      // Split the billing period the move falls in between both rooms
+      const { prorationMethod } = await getEffectiveSettings(newRoom.property);
+      const invoiceAdjustments = await applyTransferAdjustments(lease, created, moveDate, {
+        from: oldRoom.name,
+        to: newRoom.name,
+      }, prorationMethod);
+
+      await syncRoomOccupancy(oldRoom._id);
+      if (!sameRoom) {
+        await syncRoomOccupancy(newRoom._id);
+      }
+      return { transferred: created, adjustments: invoiceAdjustments };
+    });
+    if (bedError) {
+      return res.status(400).json({ 
+        success: false,
+        message: bedError 
+      });
+    }
+
+    await transferred.populate("tenant", "fullName phone");
+    await transferred.populate("room", "name floor");
+
+    res.status(201).json({
+      success: true,
+      message: "Lease transferred successfully",
+      data: {
+        previousLease: lease,
+        lease: transferred,
+        adjustments
+      }
+    });
+  } catch (error) {
+    console.error("Lease transfer error:", error.message);
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Lease was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid ID in request" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while transferring lease" 
+    });
+  }
+});
+
+// PUT /api/leases/:id/notice  (record or replace the tenant's notice to vacate)
+router.put("/:id/notice", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { givenOn, vacateDate, givenBy, reason } = req.body;
+
+    if (givenBy !== undefined && !["tenant", "landlord"].includes(givenBy)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice must be given by the tenant or the landlord" 
+      });
+    }
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (lease.notice && lease.notice.shortfallInvoice) {
+      return res.status(400).json({ 
+        success: false,
+        message: "The notice shortfall has already been billed" 
+      });
+    }
+
+    const { error } = await recordNotice(lease, { givenOn, vacateDate, givenBy, reason }, req.user._id);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+    await lease.save();
+
+    await lease.populate("tenant", "fullName phone");
+    await lease.populate("room", "name floor");
+
+    try {
+      await createNoticeNotification(lease);
+    } catch (notificationError) {
+      console.error("Failed to create notice notification:", notificationError.message);
+    }
+
+    res.json({
+      success: true,
+      message: lease.notice.shortfallDays > 0
+        ? `Notice recorded. It is ${lease.notice.shortfallDays} days short of the notice period`
+        : "Notice recorded successfully",
+      data: lease
+    });
+  } catch (error) {
+    console.error("Lease notice error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while recording notice" 
+    });
+  }
+});
+
+// DELETE /api/leases/:id/notice  (withdraw notice and restore the original end date)
+router.delete("/:id/notice", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    const { error } = withdrawNotice(lease);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+    await lease.save();
+
+    res.json({
+      success: true,
+      message: "Notice withdrawn successfully",
+      data: lease
+    });
+  } catch (error) {
+    console.error("Lease notice withdrawal error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while withdrawing notice" 
+    });
+  }
+});
+
+// POST /api/leases/:id/notice/bill  (invoice the notice period shortfall)
+router.post("/:id/notice/bill", authRequired, requirePermission("invoices:write"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    const { invoice, error } = await billNoticeShortfall(lease);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Notice shortfall invoiced successfully",
+      data: invoice
+    });
+  } catch (error) {
+    console.error("Notice shortfall billing error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while billing notice shortfall" 
+    });
+  }
+});
+
+// Settlement is for the last lease of a stay; renewals and transfers carry the deposit forward
+const settlementError = (lease) => {
+  if (!["ended", "cancelled"].includes(lease.status)) {
+    return "Only ended or cancelled leases can be settled";
+  }
+  if (lease.nextLease) {
+    return "The deposit moved to the next lease; settle that lease instead";
+  }
+  return null;
+};
+
+// GET /api/leases/:id/settlement  (move-out statement: deductions from the deposit and refund due)
+router.get("/:id/settlement", authRequired, requirePermission("leases:read"), async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    if (lease.settlement && lease.settlement.status === "finalized") {
+      return res.status(200).json({
+        success: true,
+        data: getFinalizedStatement(lease)
+      });
+    }
+
+    const error = settlementError(lease);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildSettlementStatement(lease)
+    });
+  } catch (error) {
+    console.error("Error building settlement statement:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while building settlement statement" 
+    });
+  }
+});
+
+// PUT /api/leases/:id/settlement  (damage charges, notice shortfall and notes for the draft)
+router.put("/:id/settlement", authRequired, requirePermission("leases:write"), async (req, res) => {
+  try {
+    const { damageCharges, noticeShortfall, notes } = req.body;
+
+    if (damageCharges !== undefined) {
+      const valid = Array.isArray(damageCharges) && damageCharges.every(
+        (charge) => charge && charge.description && typeof charge.amount === "number" && charge.amount >= 0
+      );
+      if (!valid) {
+        return res.status(400).json({ 
+          success: false,
+          message: "Damage charges must be a list of { description, amount } with non-negative amounts" 
+        });
+      }
+    }
+
+    // null goes back to the shortfall computed from the recorded notice
+    if (noticeShortfall !== undefined && noticeShortfall !== null && (typeof noticeShortfall !== "number" || noticeShortfall < 0)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice shortfall must be zero or a positive number" 
+      });
+    }
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    const error = settlementError(lease);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    if (lease.settlement && lease.settlement.status === "finalized") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Settlement has already been finalized" 
+      });
+    }
+
+    if (!lease.settlement) lease.settlement = {};
+    if (damageCharges !== undefined) lease.settlement.damageCharges = damageCharges;
+    if (noticeShortfall !== undefined) lease.settlement.noticeShortfall = noticeShortfall ?? undefined;
+    if (notes !== undefined) lease.settlement.notes = notes;
+    await lease.save();
+
+    res.json({
+      success: true,
+      message: "Settlement updated successfully",
+      data: await buildSettlementStatement(lease)
+    });
+  } catch (error) {
+    console.error("Settlement update error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating settlement" 
+    });
+  }
+});
+
+// POST /api/leases/:id/settlement/finalize  (apply the deposit and record the refund)
+router.post("/:id/settlement/finalize", authRequired, requirePermission("payments:write"), async (req, res) => {
+  try {
+    const { mode, date, note } = req.body;
+
+    // Checked before anything is written: the refund is created after the deductions
+    const refundModes = PAYMENT_MODES.filter((refundMode) => refundMode !== "deposit");
+    if (mode !== undefined && !refundModes.includes(mode)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Choose how the refund is paid out (${refundModes.join(", ")})` 
+      });
+    }
+
+    const lease = await Lease.findById(req.params.id);
+    if (!lease) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Lease not found" 
+      });
+    }
+
+    const error = settlementError(lease);
+    if (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: error 
+      });
+    }
+
+    if (lease.settlement && lease.settlement.status === "finalized") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Settlement has already been finalized" 
+      });
+    }
+
+    const { statement, error: finalizeError } = await finalizeSettlement(lease._id, { mode, date, note }, req.user._id);
+    if (finalizeError) {
+      return res.status(400).json({ 
+        success: false,
+        message: finalizeError 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: statement.amountOwed > 0
+        ? `Settlement finalized. ${statement.amountOwed} is still owed by the tenant`
+        : "Settlement finalized successfully",
+      data: statement
+    });
+  } catch (error) {
+    console.error("Settlement finalize error:", error.message);
+    if (error.name === "SettlementOutOfDateError") {
+      return res.status(409).json({ 
+        success: false,
+        message: `${error.message}; review the settlement and try again` 
+      });
+    }
+    if (isWriteConflict(error)) {
+      return res.status(409).json({ 
+        success: false,
+        message: "Settlement was changed by another request at the same time; try again" 
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid lease ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while finalizing settlement" 
+    });
+  }
+});
+
+export default router;
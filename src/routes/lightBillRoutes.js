@@ -3,15 +3,17 @@ import LightBill from "../models/LightBill.js";
 import Lease from "../models/Lease.js";
 import Room from "../models/Room.js";
 import Tenant from "../models/Tenant.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
 import { createPaymentNotification } from "../services/notificationService.js";
+import { getPropertyRoomIds } from "../services/propertyService.js";
+import { recordLightBillPayment } from "../services/paymentService.js";
 
 const router = express.Router();
 
-// GET /api/light-bills?status=unpaid&tenantId=...
-router.get("/", authRequired, async (req, res) => {
+// GET /api/light-bills?status=unpaid&tenantId=...&propertyId=...
+router.get("/", authRequired, requirePermission("light-bills:read"), async (req, res) => {
   try {
-    const { status, tenantId } = req.query;
+    const { status, tenantId, propertyId } = req.query;
     const query = {};
     
     if (status) {
@@ -30,6 +32,10 @@ router.get("/", authRequired, async (req, res) => {
       query.tenant = tenantId;
     }
 
+    if (propertyId) {
+      query.room = { $in: await getPropertyRoomIds(propertyId) };
+    }
+
     const lightBills = await LightBill.find(query)
       .populate("tenant", "fullName phone email")
       .populate("room", "name floor")
@@ -50,7 +56,7 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // POST /api/light-bills
-router.post("/", authRequired, async (req, res) => {
+router.post("/", authRequired, requirePermission("light-bills:write"), async (req, res) => {
   try {
     let {
       room,
@@ -151,6 +157,13 @@ router.post("/", authRequired, async (req, res) => {
       });
     }
 
+    if (roomExists.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Room is archived" 
+      });
+    }
+
     const tenantExists = await Tenant.findById(tenant);
     if (!tenantExists) {
       return res.status(404).json({ 
@@ -229,7 +242,7 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // POST /api/light-bills/:id/pay
-router.post("/:id/pay", authRequired, async (req, res) => {
+router.post("/:id/pay", authRequired, requirePermission("payments:write"), async (req, res) => {
   try {
     const { amount, date, mode, note } = req.body;
     
@@ -248,36 +261,23 @@ router.post("/:id/pay", authRequired, async (req, res) => {
       });
     }
 
-    const lightBill = await LightBill.findById(req.params.id);
-    
-    if (!lightBill) {
+    const exists = await LightBill.exists({ _id: req.params.id });
+    if (!exists) {
       return res.status(404).json({ 
         success: false,
         message: "Light bill not found" 
       });
     }
 
-    // Check if payment would exceed total amount
-    const newPaidAmount = lightBill.paidAmount + amount;
-    if (newPaidAmount > lightBill.totalAmount) {
+    // Paid amount and status change in one guarded update, so concurrent payments cannot overpay
+    const { lightBill, error } = await recordLightBillPayment(req.params.id, amount);
+    if (error) {
       return res.status(400).json({ 
         success: false,
-        message: `Payment would exceed total bill amount. Maximum allowable payment: ${lightBill.totalAmount - lightBill.paidAmount}` 
+        message: error 
       });
     }
 
-    // Update paid amount
-    lightBill.paidAmount = newPaidAmount;
-    
-    // Update status based on payment
-    if (lightBill.paidAmount >= lightBill.totalAmount) {
-      lightBill.status = "paid";
-    } else if (lightBill.paidAmount > 0) {
-      lightBill.status = "partially_paid";
-    }
-    
-    await lightBill.save();
-
     // Populate references for response
     await lightBill.populate("tenant", "fullName phone email");
     await lightBill.populate("room", "name floor");
@@ -305,7 +305,7 @@ router.post("/:id/pay", authRequired, async (req, res) => {
 });
 
 // PUT /api/light-bills/:id
-router.put("/:id", authRequired, async (req, res) => {
+router.put("/:id", authRequired, requirePermission("light-bills:write"), async (req, res) => {
   try {
     const {
       periodFrom,
@@ -378,7 +378,7 @@ router.put("/:id", authRequired, async (req, res) => {
 });
 
 // DELETE /api/light-bills/:id
-router.delete("/:id", authRequired, async (req, res) => {
+router.delete("/:id", authRequired, requirePermission("light-bills:delete"), async (req, res) => {
   try {
     const lightBill = await LightBill.findById(req.params.id);
     
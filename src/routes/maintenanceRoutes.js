@@ -0,0 +1,434 @@
+import express from "express";
+import MaintenanceTicket, {
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_TRANSITIONS,
+} from "../models/MaintenanceTicket.js";
+import Room from "../models/Room.js";
+import Lease from "../models/Lease.js";
+import Tenant from "../models/Tenant.js";
+import User from "../models/User.js";
+import { TENANT_ROLE } from "../config/permissions.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getPropertyRoomIds } from "../services/propertyService.js";
+import { blockRoomForTicket, releaseRoom, notifyAssignee } from "../services/maintenanceService.js";
+
+const router = express.Router();
+
+const populateTicket = (query) =>
+  query
+    .populate("room", "name floor status")
+    .populate("tenant", "fullName phone")
+    .populate("assignee", "name email role")
+    .populate("reportedBy", "name")
+    .populate("comments.author", "name");
+
+// Assignees must be active staff of the organization
+const findAssignee = (assigneeId) =>
+  User.findOne({ _id: assigneeId, isActive: true, role: { $ne: TENANT_ROLE } });
+
+// GET /api/maintenance?status=open&priority=high&category=plumbing&room=...&assignee=...&propertyId=...
+router.get("/", authRequired, requirePermission("maintenance:read"), async (req, res) => {
+  try {
+    const { status, priority, category, room, assignee, propertyId, blocksRoom } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+    if (category) query.category = category;
+    if (room) query.room = room;
+    if (assignee) query.assignee = assignee;
+    if (blocksRoom !== undefined) query.blocksRoom = blocksRoom === "true";
+    if (propertyId) query.room = { $in: await getPropertyRoomIds(propertyId) };
+
+    const tickets = await populateTicket(MaintenanceTicket.find(query).sort({ createdAt: -1 }));
+    res.status(200).json({
+      success: true,
+      count: tickets.length,
+      data: tickets
+    });
+  } catch (error) {
+    console.error("Error fetching maintenance tickets:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching maintenance tickets"
+    });
+  }
+});
+
+// GET /api/maintenance/:id
+router.get("/:id", authRequired, requirePermission("maintenance:read"), async (req, res) => {
+  try {
+    const ticket = await populateTicket(MaintenanceTicket.findById(req.params.id).populate("lease", "startDate endDate status"));
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance ticket not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    console.error("Error fetching maintenance ticket:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid maintenance ticket ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching maintenance ticket"
+    });
+  }
+});
+
+// POST /api/maintenance  (open a ticket)
+router.post("/", authRequired, requirePermission("maintenance:write"), async (req, res) => {
+  try {
+    const { room, lease, tenant, title, description, category, priority, blocksRoom, assignee, cost } = req.body;
+
+    // Validation
+    if (!room) {
+      return res.status(400).json({
+        success: false,
+        message: "Room is required"
+      });
+    }
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: "Title is required"
+      });
+    }
+
+    if (category && !TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Valid categories are: ${TICKET_CATEGORIES.join(", ")}`
+      });
+    }
+
+    if (priority && !TICKET_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Valid priorities are: ${TICKET_PRIORITIES.join(", ")}`
+      });
+    }
+
+    if (cost !== undefined && (typeof cost !== "number" || cost < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cost must be zero or a positive number"
+      });
+    }
+
+    const roomExists = await Room.findById(room);
+    if (!roomExists) {
+      return res.status(404).json({
+        success: false,
+        message: "Room not found"
+      });
+    }
+
+    if (roomExists.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Room is archived"
+      });
+    }
+
+    let tenantId = tenant;
+    if (lease) {
+      const leaseExists = await Lease.findById(lease);
+      if (!leaseExists) {
+        return res.status(404).json({
+          success: false,
+          message: "Lease not found"
+        });
+      }
+      if (String(leaseExists.room) !== String(room)) {
+        return res.status(400).json({
+          success: false,
+          message: "Lease does not belong to this room"
+        });
+      }
+      // The lease's tenant reported it unless told otherwise
+      tenantId = tenantId || leaseExists.tenant;
+    }
+
+    if (tenantId && !(await Tenant.exists({ _id: tenantId }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Tenant not found"
+      });
+    }
+
+    if (assignee && !(await findAssignee(assignee))) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignee not found"
+      });
+    }
+
+    const ticket = await MaintenanceTicket.create({
+      room,
+      lease,
+      tenant: tenantId,
+      title,
+      description,
+      category,
+      priority,
+      blocksRoom: blocksRoom === true,
+      assignee,
+      cost,
+      reportedBy: req.user._id,
+    });
+
+    await blockRoomForTicket(ticket);
+    await notifyAssignee(ticket);
+
+    res.status(201).json({
+      success: true,
+      message: "Maintenance ticket created successfully",
+      data: await populateTicket(MaintenanceTicket.findById(ticket._id))
+    });
+  } catch (error) {
+    console.error("Maintenance ticket creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID in request"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating maintenance ticket"
+    });
+  }
+});
+
+// PUT /api/maintenance/:id  (details, assignee, cost, blocking flag)
+router.put("/:id", authRequired, requirePermission("maintenance:write"), async (req, res) => {
+  try {
+    const { title, description, category, priority, blocksRoom, assignee, cost } = req.body;
+
+    if (title !== undefined && !title) {
+      return res.status(400).json({
+        success: false,
+        message: "Title cannot be empty"
+      });
+    }
+
+    if (category !== undefined && !TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Valid categories are: ${TICKET_CATEGORIES.join(", ")}`
+      });
+    }
+
+    if (priority !== undefined && !TICKET_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid priority. Valid priorities are: ${TICKET_PRIORITIES.join(", ")}`
+      });
+    }
+
+    if (cost !== undefined && (typeof cost !== "number" || cost < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cost must be zero or a positive number"
+      });
+    }
+
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance ticket not found"
+      });
+    }
+
+    if (assignee && !(await findAssignee(assignee))) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignee not found"
+      });
+    }
+
+    const reassigned = assignee !== undefined && String(assignee) !== String(ticket.assignee);
+
+    if (title !== undefined) ticket.title = title;
+    if (description !== undefined) ticket.description = description;
+    if (category !== undefined) ticket.category = category;
+    if (priority !== undefined) ticket.priority = priority;
+    if (cost !== undefined) ticket.cost = cost;
+    if (assignee !== undefined) ticket.assignee = assignee || undefined;
+    if (blocksRoom !== undefined) ticket.blocksRoom = blocksRoom === true;
+    await ticket.save();
+
+    // The blocking flag may have changed
+    if (ticket.blocksRoom) {
+      await blockRoomForTicket(ticket);
+    } else {
+      await releaseRoom(ticket.room);
+    }
+    if (reassigned) {
+      await notifyAssignee(ticket);
+    }
+
+    res.json({
+      success: true,
+      message: "Maintenance ticket updated successfully",
+      data: await populateTicket(MaintenanceTicket.findById(ticket._id))
+    });
+  } catch (error) {
+    console.error("Maintenance ticket update error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ID in request"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating maintenance ticket"
+    });
+  }
+});
+
+// PATCH /api/maintenance/:id/status  (open → in_progress → resolved, or reopen)
+router.patch("/:id/status", authRequired, requirePermission("maintenance:write"), async (req, res) => {
+  try {
+    const { status, resolutionNotes, cost } = req.body;
+
+    if (!TICKET_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Valid statuses are: ${Object.keys(TICKET_TRANSITIONS).join(", ")}`
+      });
+    }
+
+    if (cost !== undefined && (typeof cost !== "number" || cost < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cost must be zero or a positive number"
+      });
+    }
+
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance ticket not found"
+      });
+    }
+
+    if (!TICKET_TRANSITIONS[ticket.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${ticket.status} ticket to ${status}`
+      });
+    }
+
+    ticket.status = status;
+    if (status === "in_progress" && !ticket.startedAt) {
+      ticket.startedAt = new Date();
+    }
+    if (status === "resolved") {
+      ticket.resolvedAt = new Date();
+      if (resolutionNotes !== undefined) ticket.resolutionNotes = resolutionNotes;
+    } else {
+      ticket.resolvedAt = undefined;
+    }
+    if (cost !== undefined) ticket.cost = cost;
+    await ticket.save();
+
+    if (status === "resolved") {
+      await releaseRoom(ticket.room);
+    } else {
+      // Reopening a blocking ticket takes the room out of service again
+      await blockRoomForTicket(ticket);
+    }
+
+    res.json({
+      success: true,
+      message: `Maintenance ticket marked as ${status.replace("_", " ")}`,
+      data: await populateTicket(MaintenanceTicket.findById(ticket._id))
+    });
+  } catch (error) {
+    console.error("Maintenance ticket status error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid maintenance ticket ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating maintenance ticket status"
+    });
+  }
+});
+
+// POST /api/maintenance/:id/comments
+router.post("/:id/comments", authRequired, requirePermission("maintenance:write"), async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment message is required"
+      });
+    }
+
+    const ticket = await MaintenanceTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Maintenance ticket not found"
+      });
+    }
+
+    ticket.comments.push({ author: req.user._id, message: String(message).trim() });
+    await ticket.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: await populateTicket(MaintenanceTicket.findById(ticket._id))
+    });
+  } catch (error) {
+    console.error("Maintenance comment error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid maintenance ticket ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while adding comment"
+    });
+  }
+});
+
+export default router;
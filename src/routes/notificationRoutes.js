@@ -1,11 +1,11 @@
 import express from "express";
 import Notification from "../models/Notification.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // GET /api/notifications/unread-count - Get count of unread notifications
-router.get("/unread-count", authRequired, async (req, res) => {
+router.get("/unread-count", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const count = await Notification.countDocuments({
       recipient: req.user._id,
@@ -26,7 +26,7 @@ router.get("/unread-count", authRequired, async (req, res) => {
 });
 
 // GET /api/notifications/read-all - Mark all notifications as read
-router.put("/read-all", authRequired, async (req, res) => {
+router.put("/read-all", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const result = await Notification.updateMany(
       { recipient: req.user._id, isRead: false },
@@ -47,7 +47,7 @@ router.put("/read-all", authRequired, async (req, res) => {
 });
 
 // GET /api/notifications - Get all notifications for the logged-in user
-router.get("/", authRequired, async (req, res) => {
+router.get("/", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const { isRead, type, limit = 20, page = 1 } = req.query;
     const query = { recipient: req.user._id };
@@ -89,7 +89,7 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // GET /api/notifications/:id - Get a specific notification by ID
-router.get("/:id", authRequired, async (req, res) => {
+router.get("/:id", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id)
       .populate("recipient", "name email")
@@ -130,7 +130,7 @@ router.get("/:id", authRequired, async (req, res) => {
 });
 
 // PUT /api/notifications/:id/read - Mark a notification as read
-router.put("/:id/read", authRequired, async (req, res) => {
+router.put("/:id/read", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id);
 
@@ -173,7 +173,7 @@ router.put("/:id/read", authRequired, async (req, res) => {
 });
 
 // DELETE /api/notifications/:id - Delete a notification
-router.delete("/:id", authRequired, async (req, res) => {
+router.delete("/:id", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.id);
 
@@ -214,7 +214,7 @@ router.delete("/:id", authRequired, async (req, res) => {
 });
 
 // DELETE /api/notifications - Delete all read notifications
-router.delete("/", authRequired, async (req, res) => {
+router.delete("/", authRequired, requirePermission("notifications:read"), async (req, res) => {
   try {
     const result = await Notification.deleteMany({
       recipient: req.user._id,
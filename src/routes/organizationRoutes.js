@@ -0,0 +1,77 @@
+import express from "express";
+import Organization from "../models/Organization.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// GET /api/organization - The signed-in user's organization
+router.get("/", authRequired, requirePermission("settings:read"), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Organization not found" 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    console.error("Error fetching organization:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching organization" 
+    });
+  }
+});
+
+// PUT /api/organization - Rename the organization
+router.put("/", authRequired, requirePermission("settings:write"), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Organization name is required" 
+      });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organization,
+      { name },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Organization not found" 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Organization updated successfully",
+      data: organization
+    });
+  } catch (error) {
+    console.error("Organization update error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating organization" 
+    });
+  }
+});
+
+export default router;
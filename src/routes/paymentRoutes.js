@@ -1,17 +1,26 @@
 import express from "express";
 import Payment from "../models/Payment.js";
 import LightBill from "../models/LightBill.js";
-import Tenant from "../models/Tenant.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import Lease from "../models/Lease.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getTenantPaymentHistory } from "../services/paymentHistoryService.js";
+import { getPropertyRoomIds } from "../services/propertyService.js";
 
 const router = express.Router();
 
-// GET /api/payments - Get all payments grouped by tenant (includes both invoice and light bill payments)
-router.get("/", authRequired, async (req, res) => {
+// GET /api/payments?propertyId=... - Get all payments grouped by tenant (includes both invoice and light bill payments)
+router.get("/", authRequired, requirePermission("payments:read"), async (req, res) => {
   try {
-    const { tenantId, leaseId, invoiceId, startDate, endDate, mode } = req.query;
+    const { tenantId, leaseId, invoiceId, startDate, endDate, mode, propertyId } = req.query;
     const query = {};
 
+    // Restrict to leases of rooms in the property
+    let propertyRoomIds = null;
+    if (propertyId) {
+      propertyRoomIds = await getPropertyRoomIds(propertyId);
+      query.lease = { $in: await Lease.find({ room: { $in: propertyRoomIds } }).distinct("_id") };
+    }
+
     // Apply filters if provided
     if (tenantId) query.tenant = tenantId;
     if (leaseId) query.lease = leaseId;
@@ -35,6 +44,7 @@ router.get("/", authRequired, async (req, res) => {
     const lightBillQuery = {};
     if (tenantId) lightBillQuery.tenant = tenantId;
     if (leaseId) lightBillQuery.lease = leaseId;
+    if (propertyRoomIds) lightBillQuery.room = { $in: propertyRoomIds };
     
     // Date range filter for light bills (using updatedAt since that's when payments are recorded)
     if (startDate || endDate) {
@@ -61,7 +71,7 @@ router.get("/", authRequired, async (req, res) => {
       date: payment.date,
       mode: payment.mode,
       note: payment.note,
-      type: "invoice",
+      type: payment.kind === "deposit_refund" ? "depositRefund" : "invoice",
       period: payment.invoice ? {
         from: payment.invoice.periodFrom,
         to: payment.invoice.periodTo,
@@ -105,12 +115,18 @@ router.get("/", authRequired, async (req, res) => {
         tenantMap[tenantId] = {
           tenant: payment.tenant,
           totalAmount: 0,
+          refundedAmount: 0,
           paymentCount: 0,
           payments: []
         };
       }
       
-      tenantMap[tenantId].totalAmount += payment.amount;
+      // Deposit refunds are money paid out, not collected
+      if (payment.type === "depositRefund") {
+        tenantMap[tenantId].refundedAmount += payment.amount;
+      } else {
+        tenantMap[tenantId].totalAmount += payment.amount;
+      }
       tenantMap[tenantId].paymentCount++;
       tenantMap[tenantId].payments.push(payment);
     });
@@ -121,15 +137,18 @@ router.get("/", authRequired, async (req, res) => {
     // Calculate overall summary statistics
     let totalCount = 0;
     let totalAmount = 0;
+    let totalRefunded = 0;
     groupedPayments.forEach(group => {
       totalCount += group.paymentCount;
       totalAmount += group.totalAmount;
+      totalRefunded += group.refundedAmount;
     });
 
     res.status(200).json({
       success: true,
       count: totalCount,
       totalAmount: totalAmount,
+      totalRefunded: totalRefunded,
       data: groupedPayments
     });
   } catch (error) {
@@ -142,7 +161,7 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // GET /api/payments/:id - Get payment details by ID
-router.get("/:id", authRequired, async (req, res) => {
+router.get("/:id", authRequired, requirePermission("payments:read"), async (req, res) => {
   try {
     // Try to find as invoice payment first
     let payment = await Payment.findById(req.params.id)
@@ -170,7 +189,41 @@ router.get("/:id", authRequired, async (req, res) => {
 
     let enhancedPayment;
 
-    if (paymentType === "invoice") {
+    if (paymentType === "invoice" && payment.kind === "deposit_refund") {
+      // Deposit refunds are not tied to an invoice
+      enhancedPayment = {
+        _id: payment._id,
+        type: "depositRefund",
+        tenant: {
+          _id: payment.tenant._id,
+          fullName: payment.tenant.fullName,
+          phone: payment.tenant.phone,
+          email: payment.tenant.email,
+          address: payment.tenant.address
+        },
+        lease: {
+          _id: payment.lease._id,
+          startDate: payment.lease.startDate,
+          endDate: payment.lease.endDate,
+          rentPerMonth: payment.lease.rentPerMonth,
+          billingDay: payment.lease.billingDay,
+          room: payment.lease.room
+        },
+        payment: {
+          amount: payment.amount,
+          date: payment.date,
+          mode: payment.mode,
+          note: payment.note
+        },
+        paymentContext: {
+          purpose: "Security deposit refund at move-out"
+        },
+        timestamps: {
+          createdAt: payment.createdAt,
+          updatedAt: payment.updatedAt
+        }
+      };
+    } else if (paymentType === "invoice") {
       // Get full invoice payment details
       enhancedPayment = {
         _id: payment._id,
@@ -312,120 +365,21 @@ router.get("/:id", authRequired, async (req, res) => {
 });
 
 // GET /api/payments/tenant/:tenantId - Get complete payment history for a tenant
-router.get("/tenant/:tenantId", authRequired, async (req, res) => {
+router.get("/tenant/:tenantId", authRequired, requirePermission("payments:read"), async (req, res) => {
   try {
     const { tenantId } = req.params;
-    
-    // Get tenant details
-    const tenant = await Tenant.findById(tenantId);
-    if (!tenant) {
+
+    const history = await getTenantPaymentHistory(tenantId);
+    if (!history) {
       return res.status(404).json({
         success: false,
         message: "Tenant not found"
       });
     }
 
-    // Get invoice payments for this tenant
-    const invoicePayments = await Payment.find({ tenant: tenantId })
-      .populate("lease", "startDate endDate rentPerMonth room")
-      .populate("invoice", "periodFrom periodTo baseAmount totalAmount status dueDate");
-
-    // Get light bills for this tenant that have payments (paidAmount > 0)
-    const lightBills = await LightBill.find({ 
-      tenant: tenantId,
-      paidAmount: { $gt: 0 }
-    })
-      .populate("lease", "startDate endDate rentPerMonth room")
-      .populate("room", "name floor");
-
-    // Transform payments to a consistent format
-    const transformedInvoicePayments = invoicePayments.map(payment => ({
-      _id: payment._id,
-      amount: payment.amount,
-      date: payment.date,
-      mode: payment.mode,
-      note: payment.note,
-      type: "invoice",
-      period: payment.invoice ? {
-        from: payment.invoice.periodFrom,
-        to: payment.invoice.periodTo,
-        formatted: `${new Date(payment.invoice.periodFrom).toLocaleDateString()} to ${new Date(payment.invoice.periodTo).toLocaleDateString()}`
-      } : null,
-      status: payment.invoice ? payment.invoice.status : null,
-      relatedInfo: {
-        invoice: payment.invoice,
-        lease: payment.lease
-      },
-      createdAt: payment.createdAt,
-      updatedAt: payment.updatedAt
-    }));
-
-    const transformedLightBillPayments = lightBills.map(bill => ({
-      _id: bill._id,
-      amount: bill.paidAmount, // Use paidAmount, not totalAmount
-      date: bill.updatedAt, // Using updatedAt as the payment date
-      mode: "cash", // Default mode for light bills
-      note: "Light bill payment",
-      type: "lightBill",
-      period: {
-        from: bill.periodFrom,
-        to: bill.periodTo,
-        formatted: `${new Date(bill.periodFrom).toLocaleDateString()} to ${new Date(bill.periodTo).toLocaleDateString()}`
-      },
-      status: bill.status,
-      relatedInfo: {
-        lightBill: {
-          periodFrom: bill.periodFrom,
-          periodTo: bill.periodTo,
-          unitsConsumed: bill.unitsConsumed,
-          ratePerUnit: bill.ratePerUnit,
-          totalAmount: bill.totalAmount,
-          paidAmount: bill.paidAmount,
-          status: bill.status,
-          dueDate: bill.dueDate
-        },
-        lease: bill.lease,
-        room: bill.room
-      },
-      createdAt: bill.createdAt,
-      updatedAt: bill.updatedAt
-    }));
-
-    // Combine all payments
-    const allPayments = [...transformedInvoicePayments, ...transformedLightBillPayments];
-
-    // Sort payments by date (newest first)
-    allPayments.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    // Calculate totals
-    let totalInvoicePayments = 0;
-    let totalLightBillPayments = 0;
-    
-    invoicePayments.forEach(payment => {
-      totalInvoicePayments += payment.amount;
-    });
-    
-    lightBills.forEach(bill => {
-      totalLightBillPayments += bill.paidAmount;
-    });
-
     res.status(200).json({
       success: true,
-      data: {
-        tenant: {
-          _id: tenant._id,
-          fullName: tenant.fullName,
-          phone: tenant.phone,
-          email: tenant.email
-        },
-        payments: allPayments,
-        summary: {
-          totalPayments: allPayments.length,
-          totalInvoicePayments,
-          totalLightBillPayments,
-          totalAmountPaid: totalInvoicePayments + totalLightBillPayments
-        }
-      }
+      data: history
     });
   } catch (error) {
     console.error("Error fetching tenant payment history:", error.message);
@@ -0,0 +1,317 @@
+import express from "express";
+import Tenant from "../models/Tenant.js";
+import Lease from "../models/Lease.js";
+import Invoice from "../models/Invoice.js";
+import LightBill from "../models/LightBill.js";
+import Notification from "../models/Notification.js";
+import { authRequired, requireTenant } from "../middleware/authMiddleware.js";
+import { getTenantPaymentHistory } from "../services/paymentHistoryService.js";
+import { recordNotice } from "../services/noticeService.js";
+import { createNoticeNotification } from "../services/notificationService.js";
+
+// Tenant self-service API. Every query is filtered by req.tenantId, which comes
+// from the logged-in account and never from the request.
+const router = express.Router();
+
+// GET /api/portal/me - Profile of the logged-in tenant
+router.get("/me", authRequired, requireTenant, async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.tenantId).select("-idProofNumber");
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: "Tenant not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          id: req.user._id,
+          name: req.user.name,
+          email: req.user.email,
+        },
+        tenant,
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching portal profile:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching profile"
+    });
+  }
+});
+
+// GET /api/portal/leases
+router.get("/leases", authRequired, requireTenant, async (req, res) => {
+  try {
+    const leases = await Lease.find({ tenant: req.tenantId })
+      .populate("room", "name floor")
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: leases.length,
+      data: leases
+    });
+  } catch (error) {
+    console.error("Error fetching portal leases:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching leases"
+    });
+  }
+});
+
+// POST /api/portal/leases/:id/notice  (tenant gives notice to vacate)
+router.post("/leases/:id/notice", authRequired, requireTenant, async (req, res) => {
+  try {
+    const { vacateDate, reason } = req.body;
+
+    const lease = await Lease.findOne({ _id: req.params.id, tenant: req.tenantId });
+    if (!lease) {
+      return res.status(404).json({
+        success: false,
+        message: "Lease not found"
+      });
+    }
+
+    // Changing an existing notice goes through the office
+    if (lease.notice) {
+      return res.status(400).json({
+        success: false,
+        message: "Notice has already been given for this lease"
+      });
+    }
+
+    // Notice given through the portal is dated today
+    const { error } = await recordNotice(lease, { vacateDate, givenBy: "tenant", reason }, req.user._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    await lease.save();
+
+    await lease.populate("tenant", "fullName phone");
+    await lease.populate("room", "name floor");
+
+    try {
+      await createNoticeNotification(lease);
+    } catch (notificationError) {
+      console.error("Failed to create notice notification:", notificationError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: lease.notice.shortfallDays > 0
+        ? `Notice recorded. It is ${lease.notice.shortfallDays} days short of the ${lease.notice.periodDays}-day notice period and ${lease.notice.shortfallAmount} will be charged`
+        : "Notice recorded successfully",
+      data: lease
+    });
+  } catch (error) {
+    console.error("Portal notice error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid lease ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while recording notice"
+    });
+  }
+});
+
+// GET /api/portal/invoices?status=unpaid
+router.get("/invoices", authRequired, requireTenant, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { tenant: req.tenantId };
+    if (status) query.status = status;
+
+    const invoices = await Invoice.find(query)
+      .populate("room", "name floor")
+      .populate("lease", "startDate endDate rentPerMonth")
+      .sort({ periodFrom: -1 });
+
+    let totalDue = 0;
+    invoices.forEach((invoice) => {
+      totalDue += invoice.totalAmount - (invoice.paidAmount || 0);
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+      summary: {
+        totalDue,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching portal invoices:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invoices"
+    });
+  }
+});
+
+// GET /api/portal/invoices/:id
+router.get("/invoices/:id", authRequired, requireTenant, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, tenant: req.tenantId })
+      .populate("room", "name floor")
+      .populate("lease", "startDate endDate rentPerMonth");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error("Error fetching portal invoice:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invoice ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invoice"
+    });
+  }
+});
+
+// GET /api/portal/light-bills?status=unpaid
+router.get("/light-bills", authRequired, requireTenant, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { tenant: req.tenantId };
+    if (status) query.status = status;
+
+    const lightBills = await LightBill.find(query)
+      .populate("room", "name floor")
+      .sort({ periodFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lightBills.length,
+      data: lightBills
+    });
+  } catch (error) {
+    console.error("Error fetching portal light bills:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching light bills"
+    });
+  }
+});
+
+// GET /api/portal/payments - Same history as GET /api/payments/tenant/:tenantId
+router.get("/payments", authRequired, requireTenant, async (req, res) => {
+  try {
+    const history = await getTenantPaymentHistory(req.tenantId);
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: "Tenant not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error("Error fetching portal payment history:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching payment history"
+    });
+  }
+});
+
+// GET /api/portal/notifications
+router.get("/notifications", authRequired, requireTenant, async (req, res) => {
+  try {
+    const { isRead, limit = 20, page = 1 } = req.query;
+    const query = { recipient: req.user._id };
+    if (isRead !== undefined) {
+      query.isRead = isRead === "true";
+    }
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalNotifications = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total: totalNotifications,
+      page: parseInt(page),
+      pages: Math.ceil(totalNotifications / limit),
+      data: notifications,
+    });
+  } catch (error) {
+    console.error("Error fetching portal notifications:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching notifications"
+    });
+  }
+});
+
+// PUT /api/portal/notifications/:id/read
+router.put("/notifications/:id/read", authRequired, requireTenant, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification
+    });
+  } catch (error) {
+    console.error("Error updating portal notification:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating notification"
+    });
+  }
+});
+
+export default router;
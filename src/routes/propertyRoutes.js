@@ -0,0 +1,225 @@
+import express from "express";
+import Property from "../models/Property.js";
+import Room from "../models/Room.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getEffectiveSettings } from "../services/propertyService.js";
+
+const router = express.Router();
+
+const validateBillingDay = (day) =>
+  day === undefined || day === null || (Number.isInteger(day) && day >= 1 && day <= 28);
+
+const validateNoticePeriod = (days) =>
+  days === undefined || days === null || (Number.isInteger(days) && days >= 0);
+
+// GET /api/properties
+router.get("/", authRequired, requirePermission("properties:read"), async (req, res) => {
+  try {
+    const properties = await Property.find().sort({ name: 1 });
+
+    // Room counts per property and status
+    const roomStats = await Room.aggregate([
+      { $match: { archivedAt: null } },
+      { $group: { _id: { property: "$property", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+    const statsByProperty = {};
+    roomStats.forEach((item) => {
+      const key = String(item._id.property);
+      if (!statsByProperty[key]) statsByProperty[key] = { total: 0 };
+      statsByProperty[key][item._id.status] = item.count;
+      statsByProperty[key].total += item.count;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: properties.length,
+      data: properties.map((property) => ({
+        ...property.toObject(),
+        rooms: statsByProperty[String(property._id)] || { total: 0 },
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching properties:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching properties" 
+    });
+  }
+});
+
+// GET /api/properties/:id - Property with its effective settings
+router.get("/:id", authRequired, requirePermission("properties:read"), async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Property not found" 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...property.toObject(),
+        effectiveSettings: await getEffectiveSettings(property._id),
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching property:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid property ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching property" 
+    });
+  }
+});
+
+// POST /api/properties
+router.post("/", authRequired, requirePermission("properties:write"), async (req, res) => {
+  try {
+    const { name, address, defaultBillingDay, noticePeriodDays } = req.body;
+
+    // Validation
+    if (!name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Property name is required" 
+      });
+    }
+
+    if (!address) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Address is required" 
+      });
+    }
+
+    if (!validateBillingDay(defaultBillingDay)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Default billing day must be between 1 and 28" 
+      });
+    }
+
+    if (!validateNoticePeriod(noticePeriodDays)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice period must be a whole number of days" 
+      });
+    }
+
+    // Check for duplicate property name
+    const existingProperty = await Property.findOne({ name });
+    if (existingProperty) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Property with this name already exists" 
+      });
+    }
+
+    const property = await Property.create(req.body);
+    res.status(201).json({
+      success: true,
+      message: "Property created successfully",
+      data: property
+    });
+  } catch (error) {
+    console.error("Property creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while creating property" 
+    });
+  }
+});
+
+// PUT /api/properties/:id
+router.put("/:id", authRequired, requirePermission("properties:write"), async (req, res) => {
+  try {
+    const { name, address, defaultBillingDay, noticePeriodDays } = req.body;
+
+    // Validation
+    if (name !== undefined && !name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Property name cannot be empty" 
+      });
+    }
+
+    if (address !== undefined && !address) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Address cannot be empty" 
+      });
+    }
+
+    if (!validateBillingDay(defaultBillingDay)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Default billing day must be between 1 and 28" 
+      });
+    }
+
+    if (!validateNoticePeriod(noticePeriodDays)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Notice period must be a whole number of days" 
+      });
+    }
+
+    if (name) {
+      const existingProperty = await Property.findOne({ name, _id: { $ne: req.params.id } });
+      if (existingProperty) {
+        return res.status(400).json({ 
+          success: false,
+          message: "Property with this name already exists" 
+        });
+      }
+    }
+
+    const updated = await Property.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Property not found" 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Property updated successfully",
+      data: updated
+    });
+  } catch (error) {
+    console.error("Property update error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating property" 
+    });
+  }
+});
+
+export default router;
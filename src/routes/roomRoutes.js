@@ -1,22 +1,67 @@
 import express from "express";
-import Room from "../models/Room.js";
+import Room, { ITEM_CONDITIONS, ROOM_STATUSES } from "../models/Room.js";
 import Lease from "../models/Lease.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import Property from "../models/Property.js";
+import MaintenanceTicket from "../models/MaintenanceTicket.js";
+import RentRevision from "../models/RentRevision.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { syncRoomOccupancy } from "../services/occupancyService.js";
+import { findAvailableRooms } from "../services/availabilityService.js";
+import { getArchiveBlockers, hasHistory } from "../services/archiveService.js";
+import { recordInitialRent, recordRentRevision } from "../services/rentRevisionService.js";
+import { getPropertyRoomIds } from "../services/propertyService.js";
+import { getNoticeAvailability } from "../services/noticeService.js";
 
 const router = express.Router();
 
-// GET /api/rooms?status=vacant
-router.get("/", authRequired, async (req, res) => {
+const validateCapacity = (capacity) =>
+  capacity === undefined || (Number.isInteger(capacity) && capacity >= 1);
+
+const validateRentPerBed = (rentPerBed) =>
+  rentPerBed === undefined || rentPerBed === null || (typeof rentPerBed === "number" && rentPerBed > 0);
+
+// Occupancy is derived from leases; only "maintenance" can be set by hand.
+// Maintenance blocks, inventory and archiving have their own endpoints.
+const stripDerivedFields = (body) => {
+  const { currentOccupancy, currentLease, status, maintenanceBlocks, inventory, archivedAt, bookingLockedUntil, ...fields } = body;
+  if (status === "maintenance") {
+    fields.status = "maintenance";
+  } else if (status !== undefined) {
+    // Any other status takes the room out of maintenance and is recomputed from its leases
+    fields.status = "vacant";
+  }
+  return fields;
+};
+
+// GET /api/rooms?status=vacant&propertyId=...&includeArchived=true&onNotice=true
+router.get("/", authRequired, requirePermission("rooms:read"), async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, propertyId, includeArchived, onNotice } = req.query;
     const query = {};
     if (status) query.status = status;
+    if (includeArchived !== "true") query.archivedAt = null;
+    if (propertyId) query.property = propertyId;
+
+    const rooms = await Room.find(query).populate("property", "name");
+
+    // Full rooms with a tenant on notice are available from the day after they vacate
+    const noticeByRoom = await getNoticeAvailability(rooms.map((room) => room._id));
+    let data = rooms.map((room) => {
+      const notice = noticeByRoom.get(String(room._id));
+      return {
+        ...room.toObject(),
+        bedsOnNotice: notice ? notice.bedsOnNotice : 0,
+        availableFrom: notice && room.status === "occupied" ? notice.availableFrom : null,
+      };
+    });
+    if (onNotice === "true") {
+      data = data.filter((room) => room.bedsOnNotice > 0);
+    }
 
-    const rooms = await Room.find(query);
     res.status(200).json({
       success: true,
-      count: rooms.length,
-      data: rooms
+      count: data.length,
+      data
     });
   } catch (error) {
     console.error("Error fetching rooms:", error.message);
@@ -27,8 +72,154 @@ router.get("/", authRequired, async (req, res) => {
   }
 });
 
+// GET /api/rooms/availability?startDate=...&endDate=...&capacity=...&beds=...&minRent=...&maxRent=...&propertyId=...
+router.get("/availability", authRequired, requirePermission("rooms:read"), async (req, res) => {
+  try {
+    const { startDate, endDate, capacity, beds, minRent, maxRent, propertyId } = req.query;
+
+    if (!startDate || isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        message: "A valid start date is required" 
+      });
+    }
+
+    if (endDate && (isNaN(new Date(endDate).getTime()) || new Date(endDate) < new Date(startDate))) {
+      return res.status(400).json({ 
+        success: false,
+        message: "End date must be a valid date on or after the start date" 
+      });
+    }
+
+    const numbers = { capacity, beds, minRent, maxRent };
+    for (const [field, value] of Object.entries(numbers)) {
+      if (value !== undefined && (isNaN(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({ 
+          success: false,
+          message: `${field} must be a non-negative number` 
+        });
+      }
+    }
+
+    const rooms = await findAvailableRooms({
+      startDate,
+      endDate,
+      capacity: capacity !== undefined ? Number(capacity) : undefined,
+      beds: beds !== undefined ? Number(beds) : 1,
+      minRent: minRent !== undefined ? Number(minRent) : undefined,
+      maxRent: maxRent !== undefined ? Number(maxRent) : undefined,
+      propertyId,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: rooms.length,
+      data: rooms
+    });
+  } catch (error) {
+    console.error("Error searching room availability:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid property ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while searching room availability" 
+    });
+  }
+});
+
+// GET /api/rooms/rent-history?propertyId=...&roomId=...&from=...&to=...&includeScheduled=false
+// Rent changes over time, grouped by property and room
+router.get("/rent-history", authRequired, requirePermission("rooms:read"), async (req, res) => {
+  try {
+    const { propertyId, roomId, from, to, includeScheduled } = req.query;
+
+    const query = {
+      status: includeScheduled === "false" ? "applied" : { $in: ["applied", "scheduled"] },
+    };
+    if (roomId) query.room = roomId;
+    else if (propertyId) query.room = { $in: await getPropertyRoomIds(propertyId) };
+    if (from || to) {
+      query.effectiveDate = {};
+      if (from) query.effectiveDate.$gte = new Date(from);
+      if (to) query.effectiveDate.$lte = new Date(to);
+    }
+
+    const revisions = await RentRevision.find(query)
+      .sort({ effectiveDate: 1, createdAt: 1 })
+      .populate({ path: "room", select: "name floor property", populate: { path: "property", select: "name" } });
+
+    const properties = new Map();
+    for (const revision of revisions) {
+      if (!revision.room) continue;
+      const property = revision.room.property;
+      const propertyKey = property ? String(property._id) : "none";
+      if (!properties.has(propertyKey)) {
+        properties.set(propertyKey, {
+          property: property ? { _id: property._id, name: property.name } : null,
+          changes: 0,
+          rooms: new Map(),
+        });
+      }
+      const propertyEntry = properties.get(propertyKey);
+
+      const roomKey = String(revision.room._id);
+      if (!propertyEntry.rooms.has(roomKey)) {
+        propertyEntry.rooms.set(roomKey, {
+          room: { _id: revision.room._id, name: revision.room.name, floor: revision.room.floor },
+          revisions: [],
+        });
+      }
+
+      const previous = revision.previousRentPerBed ?? revision.previousRent;
+      const next = revision.clearRentPerBed
+        ? revision.newRent ?? revision.previousRent
+        : revision.newRentPerBed ?? revision.newRent;
+      propertyEntry.rooms.get(roomKey).revisions.push({
+        _id: revision._id,
+        effectiveDate: revision.effectiveDate,
+        status: revision.status,
+        previousRent: revision.previousRent,
+        newRent: revision.newRent,
+        previousRentPerBed: revision.previousRentPerBed,
+        newRentPerBed: revision.newRentPerBed,
+        clearRentPerBed: revision.clearRentPerBed,
+        changePercent: previous && next !== undefined ? Math.round(((next - previous) / previous) * 10000) / 100 : null,
+        reason: revision.reason,
+      });
+      propertyEntry.changes += 1;
+    }
+
+    const data = [...properties.values()].map((entry) => ({
+      ...entry,
+      rooms: [...entry.rooms.values()],
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data
+    });
+  } catch (error) {
+    console.error("Error building rent history:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid property or room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while building rent history" 
+    });
+  }
+});
+
 // GET /api/rooms/:id/tenants - Get tenants for a specific room
-router.get("/:id/tenants", authRequired, async (req, res) => {
+router.get("/:id/tenants", authRequired, requirePermission("rooms:read"), async (req, res) => {
   try {
     const roomId = req.params.id;
     
@@ -52,11 +243,18 @@ router.get("/:id/tenants", authRequired, async (req, res) => {
 });
 
 // POST /api/rooms
-router.post("/", authRequired, async (req, res) => {
+router.post("/", authRequired, requirePermission("rooms:write"), async (req, res) => {
   try {
-    const { name, floor, capacity, defaultRent, defaultDeposit, status, notes } = req.body;
+    const { property, name, capacity, defaultRent, defaultDeposit, rentPerBed } = req.body;
     
     // Validation
+    if (!property) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Property is required" 
+      });
+    }
+
     if (!name) {
       return res.status(400).json({ 
         success: false,
@@ -77,17 +275,40 @@ router.post("/", authRequired, async (req, res) => {
         message: "Default deposit must be zero or a positive number" 
       });
     }
+
+    if (!validateCapacity(capacity)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Capacity must be a whole number of at least 1" 
+      });
+    }
+
+    if (!validateRentPerBed(rentPerBed)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per bed must be a positive number" 
+      });
+    }
     
-    // Check for duplicate room name
-    const existingRoom = await Room.findOne({ name });
+    const propertyExists = await Property.findById(property);
+    if (!propertyExists) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Property not found" 
+      });
+    }
+
+    // Check for duplicate room name within the property
+    const existingRoom = await Room.findOne({ property, name });
     if (existingRoom) {
       return res.status(400).json({ 
         success: false,
-        message: "Room with this name already exists" 
+        message: "Room with this name already exists in this property" 
       });
     }
     
-    const room = await Room.create(req.body);
+    const room = await Room.create(stripDerivedFields(req.body));
+    await recordInitialRent(room, req.user._id);
     res.status(201).json({
       success: true,
       message: "Room created successfully",
@@ -110,11 +331,18 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // PUT /api/rooms/:id
-router.put("/:id", authRequired, async (req, res) => {
+router.put("/:id", authRequired, requirePermission("rooms:write"), async (req, res) => {
   try {
-    const { name, defaultRent, defaultDeposit } = req.body;
+    const { property, name, capacity, defaultRent, defaultDeposit, rentPerBed, status } = req.body;
     
     // Validation
+    if (status !== undefined && !ROOM_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Status must be one of: ${ROOM_STATUSES.join(", ")}` 
+      });
+    }
+
     if (name !== undefined && !name) {
       return res.status(400).json({ 
         success: false,
@@ -135,19 +363,88 @@ router.put("/:id", authRequired, async (req, res) => {
         message: "Default deposit must be zero or a positive number" 
       });
     }
+
+    if (!validateCapacity(capacity)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Capacity must be a whole number of at least 1" 
+      });
+    }
+
+    if (!validateRentPerBed(rentPerBed)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per bed must be a positive number" 
+      });
+    }
+
+    // Blocking maintenance tickets keep the room in maintenance until they are resolved
+    if (status !== undefined && status !== "maintenance") {
+      const blockingTicket = await MaintenanceTicket.exists({
+        room: req.params.id,
+        blocksRoom: true,
+        status: { $ne: "resolved" }
+      });
+      if (blockingTicket) {
+        return res.status(400).json({ 
+          success: false,
+          message: "Room has unresolved blocking maintenance tickets" 
+        });
+      }
+    }
+
+    // Beds that are booked cannot be removed
+    if (capacity !== undefined) {
+      const bookedBed = await Lease.findOne({
+        room: req.params.id,
+        status: { $in: ["upcoming", "active"] },
+        bed: { $gt: capacity }
+      });
+      if (bookedBed) {
+        return res.status(400).json({ 
+          success: false,
+          message: `Cannot reduce capacity below ${bookedBed.bed}: bed ${bookedBed.bed} has an active or upcoming lease` 
+        });
+      }
+    }
     
-    // Check if updating name and if it already exists
-    if (name) {
-      const existingRoom = await Room.findOne({ name, _id: { $ne: req.params.id } });
+    if (property !== undefined) {
+      const propertyExists = property && await Property.findById(property);
+      if (!propertyExists) {
+        return res.status(404).json({ 
+          success: false,
+          message: "Property not found" 
+        });
+      }
+    }
+
+    // Check if updating name or property and if the name is already taken there
+    if (name || property) {
+      const current = await Room.findById(req.params.id);
+      if (!current) {
+        return res.status(404).json({ 
+          success: false,
+          message: "Room not found" 
+        });
+      }
+
+      const existingRoom = await Room.findOne({
+        property: property || current.property,
+        name: name || current.name,
+        _id: { $ne: req.params.id }
+      });
       if (existingRoom) {
         return res.status(400).json({ 
           success: false,
-          message: "Room with this name already exists" 
+          message: "Room with this name already exists in this property" 
         });
       }
     }
     
-    const updated = await Room.findByIdAndUpdate(req.params.id, req.body, {
+    // Rent changes go through the rent history
+    const { defaultRent: newRent, rentPerBed: newRentPerBed, ...updates } = stripDerivedFields(req.body);
+
+    let updated = await Room.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     });
@@ -158,6 +455,17 @@ router.put("/:id", authRequired, async (req, res) => {
         message: "Room not found" 
       });
     }
+
+    const rentChanged = (newRent !== undefined && newRent !== updated.defaultRent) ||
+      (newRentPerBed !== undefined && newRentPerBed !== null && newRentPerBed !== updated.rentPerBed) ||
+      // Clearing the per-bed rent falls back to the default rent
+      (newRentPerBed === null && updated.rentPerBed != null);
+    if (rentChanged) {
+      await recordRentRevision(updated, { newRent, newRentPerBed, reason: "Room edited" }, req.user._id);
+    }
+
+    // Capacity or status changes can change the derived status
+    updated = await syncRoomOccupancy(updated._id);
     
     res.json({
       success: true,
@@ -180,4 +488,574 @@ router.put("/:id", authRequired, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// POST /api/rooms/:id/maintenance-blocks - Plan a period the room cannot be let
+router.post("/:id/maintenance-blocks", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    if (!startDate || isNaN(new Date(startDate).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        message: "A valid start date is required" 
+      });
+    }
+
+    if (endDate && (isNaN(new Date(endDate).getTime()) || new Date(endDate) < new Date(startDate))) {
+      return res.status(400).json({ 
+        success: false,
+        message: "End date must be a valid date on or after the start date" 
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    room.maintenanceBlocks.push({ startDate, endDate, reason });
+    await room.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Maintenance block added successfully",
+      data: room
+    });
+  } catch (error) {
+    console.error("Maintenance block creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while adding maintenance block" 
+    });
+  }
+});
+
+// DELETE /api/rooms/:id/maintenance-blocks/:blockId
+router.delete("/:id/maintenance-blocks/:blockId", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    const block = room.maintenanceBlocks.id(req.params.blockId);
+    if (!block) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Maintenance block not found" 
+      });
+    }
+
+    block.deleteOne();
+    await room.save();
+
+    res.json({
+      success: true,
+      message: "Maintenance block removed successfully",
+      data: room
+    });
+  } catch (error) {
+    console.error("Maintenance block removal error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room or block ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while removing maintenance block" 
+    });
+  }
+});
+
+// GET /api/rooms/:id/inventory
+router.get("/:id/inventory", authRequired, requirePermission("rooms:read"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id).select("name inventory");
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: room.inventory.length,
+      data: room.inventory
+    });
+  } catch (error) {
+    console.error("Error fetching room inventory:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching room inventory" 
+    });
+  }
+});
+
+// POST /api/rooms/:id/inventory - Add an asset (bed, fan, AC, mattress, ...)
+router.post("/:id/inventory", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const { name, category, serialNumber, condition, notes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Item name is required" 
+      });
+    }
+
+    if (condition !== undefined && !ITEM_CONDITIONS.includes(condition)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Invalid condition. Valid conditions are: ${ITEM_CONDITIONS.join(", ")}` 
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    room.inventory.push({ name, category, serialNumber, condition, notes });
+    await room.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Inventory item added successfully",
+      data: room.inventory[room.inventory.length - 1]
+    });
+  } catch (error) {
+    console.error("Inventory item creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while adding inventory item" 
+    });
+  }
+});
+
+// PUT /api/rooms/:id/inventory/:itemId
+router.put("/:id/inventory/:itemId", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const { name, category, serialNumber, condition, notes } = req.body;
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Item name cannot be empty" 
+      });
+    }
+
+    if (condition !== undefined && !ITEM_CONDITIONS.includes(condition)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Invalid condition. Valid conditions are: ${ITEM_CONDITIONS.join(", ")}` 
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    const item = room.inventory.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Inventory item not found" 
+      });
+    }
+
+    if (name !== undefined) item.name = name;
+    if (category !== undefined) item.category = category;
+    if (serialNumber !== undefined) item.serialNumber = serialNumber;
+    if (condition !== undefined) item.condition = condition;
+    if (notes !== undefined) item.notes = notes;
+    await room.save();
+
+    res.json({
+      success: true,
+      message: "Inventory item updated successfully",
+      data: item
+    });
+  } catch (error) {
+    console.error("Inventory item update error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room or item ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating inventory item" 
+    });
+  }
+});
+
+// DELETE /api/rooms/:id/inventory/:itemId - Checklists already recorded keep their copy of the item
+router.delete("/:id/inventory/:itemId", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    const item = room.inventory.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Inventory item not found" 
+      });
+    }
+
+    item.deleteOne();
+    await room.save();
+
+    res.json({
+      success: true,
+      message: "Inventory item removed successfully"
+    });
+  } catch (error) {
+    console.error("Inventory item removal error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room or item ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while removing inventory item" 
+    });
+  }
+});
+
+// PATCH /api/rooms/:id/archive - Hide a room from lists; blocked while it has open leases or bills
+router.patch("/:id/archive", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    if (room.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Room is already archived" 
+      });
+    }
+
+    const blockers = await getArchiveBlockers("room", room._id);
+    if (blockers.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Cannot archive room with ${blockers.join(", ")}`,
+        blockers
+      });
+    }
+
+    room.archivedAt = new Date();
+    await room.save();
+
+    res.json({
+      success: true,
+      message: "Room archived successfully",
+      data: room
+    });
+  } catch (error) {
+    console.error("Room archive error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while archiving room" 
+    });
+  }
+});
+
+// PATCH /api/rooms/:id/unarchive
+router.patch("/:id/unarchive", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    if (!room.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Room is not archived" 
+      });
+    }
+
+    room.archivedAt = null;
+    await room.save();
+
+    res.json({
+      success: true,
+      message: "Room restored successfully",
+      data: room
+    });
+  } catch (error) {
+    console.error("Room unarchive error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while restoring room" 
+    });
+  }
+});
+
+// DELETE /api/rooms/:id - Only for rooms that were never used; archive anything with history
+router.delete("/:id", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    if (await hasHistory("room", room._id)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Room has leases, bills or tickets and cannot be deleted; archive it instead" 
+      });
+    }
+
+    await room.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Room deleted successfully"
+    });
+  } catch (error) {
+    console.error("Room deletion error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while deleting room" 
+    });
+  }
+});
+
+// GET /api/rooms/:id/rent-revisions - The room's rent history, including scheduled changes
+router.get("/:id/rent-revisions", authRequired, requirePermission("rooms:read"), async (req, res) => {
+  try {
+    const revisions = await RentRevision.find({ room: req.params.id })
+      .sort({ effectiveDate: -1, createdAt: -1 })
+      .populate("createdBy", "name");
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error("Error fetching rent revisions:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while fetching rent revisions" 
+    });
+  }
+});
+
+// POST /api/rooms/:id/rent-revisions - Change the rent now or schedule a future change
+router.post("/:id/rent-revisions", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const { effectiveDate, defaultRent, rentPerBed, reason } = req.body;
+
+    if (defaultRent === undefined && rentPerBed === undefined) {
+      return res.status(400).json({ 
+        success: false,
+        message: "A new default rent or rent per bed is required" 
+      });
+    }
+
+    if (defaultRent !== undefined && (typeof defaultRent !== "number" || defaultRent <= 0)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Default rent must be a positive number" 
+      });
+    }
+
+    if (!validateRentPerBed(rentPerBed)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Rent per bed must be a positive number" 
+      });
+    }
+
+    if (effectiveDate && isNaN(new Date(effectiveDate).getTime())) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Effective date must be a valid date" 
+      });
+    }
+
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Room not found" 
+      });
+    }
+
+    const revision = await recordRentRevision(
+      room,
+      { effectiveDate, newRent: defaultRent, newRentPerBed: rentPerBed, reason },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: revision.status === "applied" ? "Rent updated successfully" : "Rent change scheduled successfully",
+      data: revision
+    });
+  } catch (error) {
+    console.error("Rent revision error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        success: false,
+        message: "Validation error",
+        error: error.message 
+      });
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while changing rent" 
+    });
+  }
+});
+
+// DELETE /api/rooms/:id/rent-revisions/:revisionId - Cancel a scheduled rent change
+router.delete("/:id/rent-revisions/:revisionId", authRequired, requirePermission("rooms:write"), async (req, res) => {
+  try {
+    const revision = await RentRevision.findOne({ _id: req.params.revisionId, room: req.params.id });
+    if (!revision) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Rent revision not found" 
+      });
+    }
+
+    if (revision.status !== "scheduled") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Only scheduled rent changes can be cancelled" 
+      });
+    }
+
+    revision.status = "cancelled";
+    revision.cancelledAt = new Date();
+    await revision.save();
+
+    res.json({
+      success: true,
+      message: "Rent change cancelled successfully",
+      data: revision
+    });
+  } catch (error) {
+    console.error("Rent revision cancellation error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid room or revision ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while cancelling rent change" 
+    });
+  }
+});
+
+export default router;
@@ -1,12 +1,21 @@
 import express from "express";
 import Settings from "../models/Settings.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { getEffectiveSettings } from "../services/propertyService.js";
 
 const router = express.Router();
 
-// GET /api/settings
-router.get("/", authRequired, async (req, res) => {
+// GET /api/settings?propertyId=...  (with propertyId: global settings merged with the property's overrides)
+router.get("/", authRequired, requirePermission("settings:read"), async (req, res) => {
   try {
+    const { propertyId } = req.query;
+    if (propertyId) {
+      return res.status(200).json({
+        success: true,
+        data: await getEffectiveSettings(propertyId)
+      });
+    }
+
     let settings = await Settings.findOne();
     if (!settings) {
       settings = await Settings.create({});
@@ -25,13 +34,24 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // PUT /api/settings
-router.put("/", authRequired, async (req, res) => {
+router.put("/", authRequired, requirePermission("settings:write"), async (req, res) => {
   try {
+    // Security settings have their own endpoint and permission
+    const { security, ...updates } = req.body;
+
+    const { defaultBillingDay } = updates;
+    if (defaultBillingDay !== undefined && !(Number.isInteger(defaultBillingDay) && defaultBillingDay >= 1 && defaultBillingDay <= 28)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Default billing day must be between 1 and 28" 
+      });
+    }
+
     let settings = await Settings.findOne();
     if (!settings) {
-      settings = await Settings.create(req.body);
+      settings = await Settings.create(updates);
     } else {
-      Object.assign(settings, req.body);
+      Object.assign(settings, updates);
       await settings.save();
     }
     res.status(200).json({
@@ -55,4 +75,39 @@ router.put("/", authRequired, async (req, res) => {
   }
 });
 
+// PUT /api/settings/security - Owner-level security policy (e.g. mandatory 2FA)
+router.put("/security", authRequired, requirePermission("security:manage"), async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    if (typeof requireTwoFactor !== "boolean") {
+      return res.status(400).json({ 
+        success: false,
+        message: "requireTwoFactor must be true or false" 
+      });
+    }
+
+    let settings = await Settings.findOne();
+    if (!settings) {
+      settings = new Settings({});
+    }
+    settings.security.requireTwoFactor = requireTwoFactor;
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      message: requireTwoFactor
+        ? "Two-factor authentication is now required for all staff accounts"
+        : "Two-factor authentication is now optional",
+      data: settings
+    });
+  } catch (error) {
+    console.error("Security settings update error:", error.message);
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while updating security settings" 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,16 +1,22 @@
 import express from "express";
+import bcrypt from "bcryptjs";
 import Tenant from "../models/Tenant.js";
 import Lease from "../models/Lease.js";
-import { authRequired } from "../middleware/authMiddleware.js";
+import User from "../models/User.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { TENANT_ROLE } from "../config/permissions.js";
+import { getArchiveBlockers, hasHistory } from "../services/archiveService.js";
+import { revokeUserSessions } from "../services/tokenService.js";
 
 const router = express.Router();
 
-// GET /api/tenants?status=active
-router.get("/", authRequired, async (req, res) => {
+// GET /api/tenants?status=active&includeArchived=true
+router.get("/", authRequired, requirePermission("tenants:read"), async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, includeArchived } = req.query;
     const query = {};
     if (status) query.status = status;
+    if (includeArchived !== "true") query.archivedAt = null;
 
     const tenants = await Tenant.find(query);
     res.status(200).json({
@@ -28,7 +34,7 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // GET /api/tenants/:id/rooms - Get rooms for a specific tenant
-router.get("/:id/rooms", authRequired, async (req, res) => {
+router.get("/:id/rooms", authRequired, requirePermission("tenants:read"), async (req, res) => {
   try {
     const tenantId = req.params.id;
     
@@ -52,7 +58,7 @@ router.get("/:id/rooms", authRequired, async (req, res) => {
 });
 
 // POST /api/tenants
-router.post("/", authRequired, async (req, res) => {
+router.post("/", authRequired, requirePermission("tenants:write"), async (req, res) => {
   try {
     const { fullName, phone, email } = req.body;
     
@@ -91,7 +97,9 @@ router.post("/", authRequired, async (req, res) => {
       }
     }
     
-    const tenant = await Tenant.create(req.body);
+    // Archiving has its own endpoints
+    const { archivedAt, ...fields } = req.body;
+    const tenant = await Tenant.create(fields);
     res.status(201).json({
       success: true,
       message: "Tenant created successfully",
@@ -114,7 +122,7 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // PUT /api/tenants/:id
-router.put("/:id", authRequired, async (req, res) => {
+router.put("/:id", authRequired, requirePermission("tenants:write"), async (req, res) => {
   try {
     const { fullName, phone, email } = req.body;
     
@@ -155,7 +163,9 @@ router.put("/:id", authRequired, async (req, res) => {
       }
     }
     
-    const updated = await Tenant.findByIdAndUpdate(req.params.id, req.body, {
+    // Archiving has its own endpoints
+    const { archivedAt, ...updates } = req.body;
+    const updated = await Tenant.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     });
@@ -188,4 +198,234 @@ router.put("/:id", authRequired, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// POST /api/tenants/:id/account - Create a portal login for a tenant
+router.post("/:id/account", authRequired, requirePermission("tenants:write"), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Tenant not found" 
+      });
+    }
+
+    const email = req.body.email || tenant.email;
+    if (!email) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Email is required when the tenant has no email on record" 
+      });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Password must be at least 6 characters long" 
+      });
+    }
+
+    const existingAccount = await User.findOne({ tenant: tenant._id });
+    if (existingAccount) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant already has a portal account" 
+      });
+    }
+
+    // Emails are unique across organizations
+    const existingEmail = await User.findOne({ email }).setOptions({ skipOrganizationScope: true });
+    if (existingEmail) {
+      return res.status(400).json({ 
+        success: false,
+        message: "User with this email already exists" 
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await User.create({
+      name: tenant.fullName,
+      email,
+      passwordHash,
+      role: TENANT_ROLE,
+      tenant: tenant._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Tenant portal account created successfully",
+      data: {
+        id: user._id,
+        email: user.email,
+        tenant: tenant._id,
+      }
+    });
+  } catch (error) {
+    console.error("Tenant account creation error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid tenant ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while creating tenant account" 
+    });
+  }
+});
+
+// PATCH /api/tenants/:id/archive - Hide a tenant from lists; blocked while it has open leases or bills
+router.patch("/:id/archive", authRequired, requirePermission("tenants:write"), async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Tenant not found" 
+      });
+    }
+
+    if (tenant.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant is already archived" 
+      });
+    }
+
+    const blockers = await getArchiveBlockers("tenant", tenant._id);
+    if (blockers.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Cannot archive tenant with ${blockers.join(", ")}`,
+        blockers
+      });
+    }
+
+    tenant.archivedAt = new Date();
+    await tenant.save();
+
+    // An archived tenant can no longer use the portal
+    const account = await User.findOneAndUpdate(
+      { tenant: tenant._id, isActive: true },
+      { $set: { isActive: false, suspendedWithTenant: true } }
+    );
+    if (account) {
+      await revokeUserSessions(account._id, "tenant_archived");
+    }
+
+    res.json({
+      success: true,
+      message: "Tenant archived successfully",
+      data: tenant
+    });
+  } catch (error) {
+    console.error("Tenant archive error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid tenant ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while archiving tenant" 
+    });
+  }
+});
+
+// PATCH /api/tenants/:id/unarchive
+router.patch("/:id/unarchive", authRequired, requirePermission("tenants:write"), async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Tenant not found" 
+      });
+    }
+
+    if (!tenant.archivedAt) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant is not archived" 
+      });
+    }
+
+    tenant.archivedAt = null;
+    await tenant.save();
+
+    // Give back the portal login that archiving switched off
+    await User.updateOne(
+      { tenant: tenant._id, suspendedWithTenant: true },
+      { $set: { isActive: true }, $unset: { suspendedWithTenant: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: "Tenant restored successfully",
+      data: tenant
+    });
+  } catch (error) {
+    console.error("Tenant unarchive error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid tenant ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while restoring tenant" 
+    });
+  }
+});
+
+// DELETE /api/tenants/:id - Only for tenants that were never used; archive anything with history
+router.delete("/:id", authRequired, requirePermission("tenants:write"), async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Tenant not found" 
+      });
+    }
+
+    if (await hasHistory("tenant", tenant._id)) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant has leases, bills or tickets and cannot be deleted; archive it instead" 
+      });
+    }
+
+    if (await User.exists({ tenant: tenant._id })) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Tenant has a portal account and cannot be deleted; archive it instead" 
+      });
+    }
+
+    await tenant.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Tenant deleted successfully"
+    });
+  } catch (error) {
+    console.error("Tenant deletion error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({ 
+        success: false,
+        message: "Invalid tenant ID" 
+      });
+    }
+    res.status(500).json({ 
+      success: false,
+      message: "Server error while deleting tenant" 
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,332 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import Settings from "../models/Settings.js";
+import { authRequired, requireSession } from "../middleware/authMiddleware.js";
+import { TENANT_ROLE } from "../config/permissions.js";
+import {
+  hashToken,
+  createSession,
+  buildAuthPayload,
+  verifyChallengeToken,
+} from "../services/tokenService.js";
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from "../services/totpService.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../services/loginThrottleService.js";
+
+const router = express.Router();
+
+// Read on use: this module loads before dotenv has filled process.env
+const issuer = () => process.env.TOTP_ISSUER || "Room Rental";
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedCounter";
+
+// Setup and enable work for a logged-in user, or with an enrolment challenge
+// token when the owner requires 2FA and the user has not enrolled yet.
+const authOrEnrollmentChallenge = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return authRequired(req, res, () => requireSession(req, res, next));
+  }
+
+  const decoded = verifyChallengeToken(challengeToken, "2fa_enroll");
+  const user = decoded ? await User.findById(decoded.id) : null;
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "Challenge token invalid or expired"
+    });
+  }
+
+  req.user = user;
+  req.enrollmentChallenge = true;
+  next();
+};
+
+const isTwoFactorRequired = async (user) => {
+  if (user.role === TENANT_ROLE) return false;
+  const settings = await Settings.findOne({ organization: user.organization });
+  return Boolean(settings && settings.security && settings.security.requireTwoFactor);
+};
+
+// Accept either a TOTP code or an unused recovery code. Saves the user on success.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const counter = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedCounter);
+    if (counter === null) return false;
+    user.twoFactor.lastUsedCounter = counter;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = (user.twoFactor.recoveryCodeHashes || []).indexOf(codeHash);
+    if (index === -1) return false;
+    // Recovery codes are single use
+    user.twoFactor.recoveryCodeHashes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
+
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// POST /api/auth/2fa/setup - Generate a secret and otpauth URI to show as a QR code
+router.post("/setup", authOrEnrollmentChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the QR code in your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, issuer()),
+      }
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while setting up two-factor authentication"
+    });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm the pending secret with a code and get recovery codes
+router.post("/enable", authOrEnrollmentChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Call /api/auth/2fa/setup first"
+      });
+    }
+
+    const counter = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (counter === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedCounter = counter;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    const data = { recoveryCodes };
+    // Enrolment during login finishes the login
+    if (req.enrollmentChallenge) {
+      const tokens = await createSession(user, req);
+      Object.assign(data, buildAuthPayload(user, tokens));
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store the recovery codes somewhere safe.",
+      data
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while enabling two-factor authentication"
+    });
+  }
+});
+
+// POST /api/auth/2fa/verify - Second login step: exchange a challenge token and code for a session
+router.post("/verify", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and a code or recovery code are required"
+      });
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, "2fa_login");
+    const user = decoded ? await User.findById(decoded.id).select(TWO_FACTOR_FIELDS) : null;
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Challenge token invalid or expired"
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: "Too many failed attempts. Please wait before trying again.",
+        retryAfterSeconds: throttle.retryAfterSeconds
+      });
+    }
+
+    const verified = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      await recordLoginFailure({ email: user.email, ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    await recordLoginSuccess({ email: user.email });
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        ...buildAuthPayload(user, tokens),
+        recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+      },
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while verifying two-factor authentication"
+    });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes (requires a current code)
+router.post("/recovery-codes", authRequired, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    const verified = await verifySecondFactor(user, { code });
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code"
+      });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error("2FA recovery code error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating recovery codes"
+    });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn off 2FA (requires password and a code)
+router.post("/disable", authRequired, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for all staff accounts"
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.passwordHash);
+    const verified = isMatch && (await verifySecondFactor(user, { code, recoveryCode }));
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or authentication code"
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while disabling two-factor authentication"
+    });
+  }
+});
+
+export default router;
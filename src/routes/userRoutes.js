@@ -0,0 +1,291 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { authRequired, requirePermission } from "../middleware/authMiddleware.js";
+import { revokeUserSessions } from "../services/tokenService.js";
+import { getAccountLockStatus, unlockAccount } from "../services/loginThrottleService.js";
+import { ROLES, ROLE_PERMISSIONS, TENANT_ROLE, permissionsForRole } from "../config/permissions.js";
+
+const router = express.Router();
+
+const FULL_ACCESS_ROLES = ["owner", "admin"];
+
+// Prevent locking everyone out by removing the last full-access account
+const isLastFullAccessUser = async (user) => {
+  if (!FULL_ACCESS_ROLES.includes(user.role) || !user.isActive) return false;
+  const count = await User.countDocuments({
+    role: { $in: FULL_ACCESS_ROLES },
+    isActive: true,
+    _id: { $ne: user._id },
+  });
+  return count === 0;
+};
+
+// GET /api/users/roles - List roles and the permissions they grant
+router.get("/roles", authRequired, requirePermission("users:manage"), async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map((role) => ({
+      role,
+      permissions: permissionsForRole(role),
+      fullAccess: ROLE_PERMISSIONS[role].includes("*"),
+    })),
+  });
+});
+
+// GET /api/users?role=caretaker&isActive=true
+router.get("/", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const users = await User.find(query).select("-passwordHash").sort({ createdAt: 1 });
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching users"
+    });
+  }
+});
+
+// POST /api/users - Create a staff account with a role
+router.post("/", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    // Validation
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Name is required"
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required"
+      });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long"
+      });
+    }
+
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      });
+    }
+
+    // Emails are unique across all organizations
+    const existing = await User.findOne({ email }).setOptions({ skipOrganizationScope: true });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "User with this email already exists"
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const user = await User.create({ name, email, passwordHash, role });
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+      }
+    });
+  } catch (error) {
+    console.error("User creation error:", error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating user"
+    });
+  }
+});
+
+// PUT /api/users/:id - Update name, role or active flag
+router.put("/:id", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { name, role, isActive } = req.body;
+
+    if (name !== undefined && !name) {
+      return res.status(400).json({
+        success: false,
+        message: "Name cannot be empty"
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be true or false"
+      });
+    }
+
+    const user = await User.findById(req.params.id).select("-passwordHash");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (role !== undefined && user.role === TENANT_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: "Tenant portal accounts cannot be given a staff role"
+      });
+    }
+
+    if (user._id.equals(req.user._id) && (isActive === false || (role && role !== user.role))) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role or deactivate yourself"
+      });
+    }
+
+    const losesFullAccess =
+      (role !== undefined && !FULL_ACCESS_ROLES.includes(role)) || isActive === false;
+    if (losesFullAccess && (await isLastFullAccessUser(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one active owner or admin account is required"
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) {
+      user.isActive = isActive;
+      // Set by hand, so restoring an archived tenant no longer changes it
+      user.suspendedWithTenant = undefined;
+    }
+    await user.save();
+
+    if (!user.isActive) {
+      await revokeUserSessions(user._id, "user_deactivated");
+    }
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("User update error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating user"
+    });
+  }
+});
+
+// GET /api/users/:id/lock - Failed login state of an account
+router.get("/:id/lock", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getAccountLockStatus(user.email)
+    });
+  } catch (error) {
+    console.error("Error fetching lock status:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching lock status"
+    });
+  }
+});
+
+// POST /api/users/:id/unlock - Clear a login lockout
+router.post("/:id/unlock", authRequired, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    const cleared = await unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: cleared ? "Account unlocked successfully" : "Account was not locked"
+    });
+  } catch (error) {
+    console.error("Account unlock error:", error.message);
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while unlocking account"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.js";
+import { hashToken } from "./tokenService.js";
+
+const KEY_PREFIX = "rrk";
+// Avoid a database write on every request from busy integrations
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token looks like an API key rather than a JWT
+ * @param {string} token - The presented token
+ * @returns {boolean}
+ */
+export const isApiKey = (token) => typeof token === "string" && token.startsWith(`${KEY_PREFIX}_`);
+
+/**
+ * Generate a new API key. The returned key must be shown to the user once and then discarded.
+ * @returns {Object} { key, prefix, keyHash }
+ */
+export const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Resolve a presented API key to its active ApiKey document
+ * @param {string} key - The full API key
+ * @param {string} ip - The client IP, recorded as last used IP
+ * @returns {Promise<Object|null>} The ApiKey, or null if unknown, revoked or expired
+ */
+export const authenticateApiKey = async (key, ip) => {
+  const [, prefix] = String(key).split("_");
+  if (!prefix) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix });
+  if (!apiKey || apiKey.revokedAt || apiKey.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashToken(key));
+  const stored = Buffer.from(apiKey.keyHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_UPDATE_INTERVAL_MS) {
+    apiKey.lastUsedAt = now;
+    apiKey.lastUsedIp = ip;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+  }
+
+  return apiKey;
+};
+
+export default {
+  isApiKey,
+  generateApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,48 @@
+import Lease from "../models/Lease.js";
+import Invoice from "../models/Invoice.js";
+import LightBill from "../models/LightBill.js";
+import MaintenanceTicket from "../models/MaintenanceTicket.js";
+
+const OPEN_BILL_STATUSES = ["unpaid", "partially_paid", "overdue"];
+
+/**
+ * Reasons a room or tenant cannot be archived yet
+ * @param {string} field - "room" or "tenant"
+ * @param {string} id - The room or tenant ID
+ * @returns {Promise<Array<string>>} Human-readable blockers; empty when archiving is allowed
+ */
+export const getArchiveBlockers = async (field, id) => {
+  const [leases, invoices, lightBills] = await Promise.all([
+    Lease.countDocuments({ [field]: id, status: { $in: ["upcoming", "active"] } }),
+    Invoice.countDocuments({ [field]: id, status: { $in: OPEN_BILL_STATUSES } }),
+    LightBill.countDocuments({ [field]: id, status: { $in: OPEN_BILL_STATUSES } }),
+  ]);
+
+  const blockers = [];
+  if (leases > 0) blockers.push(`${leases} active or upcoming lease(s)`);
+  if (invoices > 0) blockers.push(`${invoices} unpaid invoice(s)`);
+  if (lightBills > 0) blockers.push(`${lightBills} unpaid light bill(s)`);
+  return blockers;
+};
+
+/**
+ * Whether a room or tenant has never been used, so it can be deleted outright
+ * instead of archived
+ * @param {string} field - "room" or "tenant"
+ * @param {string} id - The room or tenant ID
+ * @returns {Promise<boolean>}
+ */
+export const hasHistory = async (field, id) => {
+  const [lease, invoice, lightBill, ticket] = await Promise.all([
+    Lease.exists({ [field]: id }),
+    Invoice.exists({ [field]: id }),
+    LightBill.exists({ [field]: id }),
+    MaintenanceTicket.exists({ [field]: id }),
+  ]);
+  return Boolean(lease || invoice || lightBill || ticket);
+};
+
+export default {
+  getArchiveBlockers,
+  hasHistory,
+};
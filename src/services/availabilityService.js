@@ -0,0 +1,169 @@
+import Lease from "../models/Lease.js";
+import Room from "../models/Room.js";
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+/**
+ * Free gaps left in a window once busy intervals are removed.
+ * All dates are whole days; intervals include both their start and end day.
+ * An interval or window end of null means open-ended.
+ * @param {Date} windowStart - First day of the window
+ * @param {Date|null} windowEnd - Last day of the window
+ * @param {Array<Object>} busy - Intervals as { from, to }
+ * @returns {Array<Object>} Gaps as { from, to }
+ */
+const computeGaps = (windowStart, windowEnd, busy) => {
+  const sorted = busy
+    .filter((interval) =>
+      (!windowEnd || interval.from <= windowEnd) && (!interval.to || interval.to >= windowStart))
+    .sort((a, b) => a.from - b.from);
+
+  const gaps = [];
+  let cursor = windowStart;
+
+  for (const interval of sorted) {
+    if (!cursor) break;
+    if (interval.from > cursor) {
+      gaps.push({ from: cursor, to: addDays(interval.from, -1) });
+    }
+    if (!interval.to) {
+      cursor = null;
+    } else if (interval.to >= cursor) {
+      cursor = addDays(interval.to, 1);
+    }
+  }
+
+  if (cursor && (!windowEnd || cursor <= windowEnd)) {
+    gaps.push({ from: cursor, to: windowEnd });
+  }
+
+  return gaps;
+};
+
+// A gap covers the whole window when it starts on the first day and runs to the end
+const coversWindow = (gaps, windowStart, windowEnd) =>
+  gaps.some((gap) =>
+    gap.from.getTime() === windowStart.getTime() &&
+    (gap.to === null || (windowEnd && gap.to >= windowEnd)));
+
+/**
+ * Maintenance intervals of a room. A room currently marked "maintenance" without a
+ * block covering today is treated as unavailable from today until further notice.
+ * @param {Object} room - The room document
+ * @param {Date} today - Start of the current day
+ * @returns {Array<Object>} Intervals as { from, to }
+ */
+const maintenanceIntervals = (room, today) => {
+  const intervals = (room.maintenanceBlocks || []).map((block) => ({
+    from: startOfDay(block.startDate),
+    to: block.endDate ? startOfDay(block.endDate) : null,
+  }));
+
+  const coversToday = intervals.some((interval) =>
+    interval.from <= today && (!interval.to || interval.to >= today));
+  if (room.status === "maintenance" && !coversToday) {
+    intervals.push({ from: today, to: null });
+  }
+
+  return intervals;
+};
+
+/**
+ * Rooms with free beds between two dates, computed from lease dates and maintenance blocks.
+ * @param {Object} options - Search options
+ * @param {Date|string} options.startDate - First day the prospect needs
+ * @param {Date|string} options.endDate - Last day (optional, open-ended when missing)
+ * @param {number} options.capacity - Minimum room capacity (optional)
+ * @param {number} options.beds - Beds needed for the whole period (default 1)
+ * @param {number} options.minRent - Minimum rent per bed (optional)
+ * @param {number} options.maxRent - Maximum rent per bed (optional)
+ * @param {string} options.propertyId - Only rooms of this property (optional)
+ * @returns {Promise<Array>} Rooms with any free gap, with per-bed gaps and whether enough beds are free throughout
+ */
+export const findAvailableRooms = async ({ startDate, endDate, capacity, beds = 1, minRent, maxRent, propertyId }) => {
+  const windowStart = startOfDay(startDate);
+  const windowEnd = endDate ? startOfDay(endDate) : null;
+  const today = startOfDay(new Date());
+
+  const roomQuery = { archivedAt: null };
+  if (propertyId) roomQuery.property = propertyId;
+  if (capacity) roomQuery.capacity = { $gte: capacity };
+
+  const rooms = (await Room.find(roomQuery).populate("property", "name"))
+    .filter((room) => {
+      const rent = room.rentPerBed ?? room.defaultRent;
+      return (minRent === undefined || rent >= minRent) && (maxRent === undefined || rent <= maxRent);
+    });
+
+  const leaseQuery = {
+    room: { $in: rooms.map((room) => room._id) },
+    status: { $in: ["upcoming", "active"] },
+    $or: [{ endDate: null }, { endDate: { $gte: windowStart } }],
+  };
+  if (windowEnd) {
+    leaseQuery.startDate = { $lt: addDays(windowEnd, 1) };
+  }
+  const leases = await Lease.find(leaseQuery).select("room bed startDate endDate");
+
+  const results = [];
+
+  for (const room of rooms) {
+    const roomLeases = leases.filter((lease) => String(lease.room) === String(room._id));
+    const blocked = maintenanceIntervals(room, today);
+
+    const bedGaps = [];
+    for (let bed = 1; bed <= (room.capacity || 1); bed++) {
+      const busy = roomLeases
+        .filter((lease) => (lease.bed || 1) === bed)
+        .map((lease) => ({
+          from: startOfDay(lease.startDate),
+          to: lease.endDate ? startOfDay(lease.endDate) : null,
+        }))
+        .concat(blocked);
+
+      const gaps = computeGaps(windowStart, windowEnd, busy);
+      if (gaps.length > 0) {
+        bedGaps.push({ bed, freeThroughout: coversWindow(gaps, windowStart, windowEnd), gaps });
+      }
+    }
+
+    if (bedGaps.length === 0) {
+      continue;
+    }
+
+    const freeBeds = bedGaps.filter((bed) => bed.freeThroughout).length;
+    results.push({
+      room: {
+        _id: room._id,
+        name: room.name,
+        floor: room.floor,
+        property: room.property,
+        capacity: room.capacity,
+        defaultRent: room.defaultRent,
+        rentPerBed: room.rentPerBed,
+        defaultDeposit: room.defaultDeposit,
+        status: room.status,
+      },
+      freeBeds,
+      available: freeBeds >= beds,
+      beds: bedGaps,
+    });
+  }
+
+  // Rooms free for the whole period first
+  return results.sort((a, b) => Number(b.available) - Number(a.available) || b.freeBeds - a.freeBeds);
+};
+
+export default {
+  findAvailableRooms,
+};
@@ -0,0 +1,148 @@
+import Invoice from "../models/Invoice.js";
+import Lease from "../models/Lease.js";
+import Payment from "../models/Payment.js";
+import Room from "../models/Room.js";
+import { computeRoomOccupancy, syncRoomOccupancy } from "./occupancyService.js";
+
+const OCCUPANCY_FIELDS = ["currentOccupancy", "currentLease", "status"];
+const INVOICE_FIELDS = ["paidAmount", "totalAmount", "status"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sameValue = (a, b) => String(a ?? null) === String(b ?? null);
+
+// Rooms whose occupancy, status or currentLease do not match their active leases
+const checkRooms = async (repair) => {
+  const rooms = await Room.find();
+  const activeLeases = await Lease.find({ status: "active" }).sort({ startDate: -1 });
+
+  const leasesByRoom = new Map();
+  for (const lease of activeLeases) {
+    const key = String(lease.room);
+    if (!leasesByRoom.has(key)) leasesByRoom.set(key, []);
+    leasesByRoom.get(key).push(lease);
+  }
+
+  const issues = [];
+  for (const room of rooms) {
+    const expected = computeRoomOccupancy(room, leasesByRoom.get(String(room._id)) || []);
+    const fields = OCCUPANCY_FIELDS.filter((field) => !sameValue(room[field], expected[field]));
+    if (fields.length === 0) continue;
+
+    const issue = {
+      type: "room_occupancy",
+      room: room._id,
+      name: room.name,
+      differences: fields.map((field) => ({ field, stored: room[field] ?? null, expected: expected[field] })),
+      repaired: false,
+    };
+    if (repair) {
+      await syncRoomOccupancy(room._id);
+      issue.repaired = true;
+    }
+    issues.push(issue);
+  }
+  return issues;
+};
+
+// Invoices whose paid amount is not the sum of their payments, or whose total or status is stale
+const checkInvoices = async (repair) => {
+  const paymentTotals = await Payment.aggregate([
+    { $match: { invoice: { $ne: null }, kind: { $ne: "deposit_refund" } } },
+    { $group: { _id: "$invoice", total: { $sum: "$amount" } } },
+  ]);
+  const paidByInvoice = new Map(paymentTotals.map((entry) => [String(entry._id), roundAmount(entry.total)]));
+
+  const invoices = await Invoice.find({ status: { $ne: "void" } });
+
+  const issues = [];
+  for (const invoice of invoices) {
+    const stored = Object.fromEntries(INVOICE_FIELDS.map((field) => [field, invoice[field]]));
+
+    invoice.paidAmount = paidByInvoice.get(String(invoice._id)) || 0;
+    invoice.recalculateTotal();
+    const fields = INVOICE_FIELDS.filter((field) => !sameValue(stored[field], invoice[field]));
+    if (fields.length === 0) continue;
+
+    const issue = {
+      type: "invoice_balance",
+      invoice: invoice._id,
+      lease: invoice.lease,
+      differences: fields.map((field) => ({ field, stored: stored[field] ?? null, expected: invoice[field] })),
+      repaired: false,
+    };
+    if (repair) {
+      await invoice.save();
+      issue.repaired = true;
+    }
+    issues.push(issue);
+  }
+  return issues;
+};
+
+// Beds held by more than one upcoming or active lease at the same time. Which lease
+// should give way is a business decision, so these are reported but never repaired.
+const checkBeds = async () => {
+  const leases = await Lease.find({ status: { $in: ["upcoming", "active"] } }).sort({ startDate: 1 });
+
+  const leasesByBed = new Map();
+  for (const lease of leases) {
+    const key = `${lease.room}:${lease.bed || 1}`;
+    if (!leasesByBed.has(key)) leasesByBed.set(key, []);
+    leasesByBed.get(key).push(lease);
+  }
+
+  const issues = [];
+  for (const bedLeases of leasesByBed.values()) {
+    // Sorted by start date, so each lease only needs comparing with the latest-ending one before it
+    let latest = null;
+    for (const lease of bedLeases) {
+      if (latest && (!latest.endDate || latest.endDate >= lease.startDate)) {
+        issues.push({
+          type: "bed_double_booked",
+          room: lease.room,
+          bed: lease.bed || 1,
+          leases: [latest._id, lease._id],
+          repaired: false,
+        });
+      }
+      if (!latest || (latest.endDate && (!lease.endDate || lease.endDate > latest.endDate))) {
+        latest = lease;
+      }
+    }
+  }
+  return issues;
+};
+
+/**
+ * Look for records that have drifted out of step with each other, e.g. after a
+ * write was interrupted on a server without transactions:
+ * - rooms whose occupancy, status or currentLease do not match their active leases
+ * - invoices whose paid amount is not the sum of their payments, or whose total or status is stale
+ * - beds held by overlapping leases (reported only)
+ * @param {Object} options
+ * @param {boolean} options.repair - Fix the rooms and invoices found (default false)
+ * @returns {Promise<Object>} { checkedAt, repair, summary, issues }
+ */
+export const checkConsistency = async ({ repair = false } = {}) => {
+  const roomIssues = await checkRooms(repair);
+  const invoiceIssues = await checkInvoices(repair);
+  const bedIssues = await checkBeds();
+
+  const issues = [...roomIssues, ...invoiceIssues, ...bedIssues];
+  return {
+    checkedAt: new Date(),
+    repair,
+    summary: {
+      roomOccupancy: roomIssues.length,
+      invoiceBalances: invoiceIssues.length,
+      doubleBookedBeds: bedIssues.length,
+      repaired: issues.filter((issue) => issue.repaired).length,
+    },
+    issues,
+  };
+};
+
+export default {
+  checkConsistency,
+};
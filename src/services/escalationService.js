@@ -0,0 +1,170 @@
+import Lease, { ESCALATION_TYPES } from "../models/Lease.js";
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Same day n months later, kept within the month (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const result = startOfDay(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+const hasEscalation = (lease) => Boolean(lease.escalation && lease.escalation.value > 0);
+
+const anchorOf = (lease) => startOfDay(lease.escalation.anchorDate || lease.startDate);
+
+// When the nth escalation takes effect
+const escalationDate = (lease, step) => addMonths(anchorOf(lease), step * lease.escalation.everyMonths);
+
+// How many escalations have taken effect by a date
+const stepsBy = (lease, date) => {
+  if (!hasEscalation(lease)) return 0;
+
+  const day = startOfDay(date);
+  const anchor = anchorOf(lease);
+  if (day <= anchor) return 0;
+
+  const months = (day.getFullYear() - anchor.getFullYear()) * 12 + day.getMonth() - anchor.getMonth();
+  let step = Math.floor(months / lease.escalation.everyMonths);
+  while (step > 0 && escalationDate(lease, step) > day) step--;
+  return step;
+};
+
+const escalate = (escalation, rent, steps) => {
+  let result = rent;
+  for (let step = 0; step < steps; step++) {
+    result = escalation.type === "percentage"
+      ? roundAmount(result * (1 + escalation.value / 100))
+      : roundAmount(result + escalation.value);
+  }
+  return result;
+};
+
+/**
+ * Check an escalation schedule from a request body
+ * @param {Object} input - { type, value, everyMonths }, or null to remove the schedule
+ * @returns {Object} { escalation } (null when removed) or { error } with a message
+ */
+export const validateEscalation = (input) => {
+  if (input === null) {
+    return { escalation: null };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Escalation must be an object with type, value and everyMonths" };
+  }
+
+  const { type, value, everyMonths = 12 } = input;
+  if (!ESCALATION_TYPES.includes(type)) {
+    return { error: `Escalation type must be one of: ${ESCALATION_TYPES.join(", ")}` };
+  }
+  if (typeof value !== "number" || value <= 0) {
+    return { error: "Escalation value must be a positive number" };
+  }
+  if (!Number.isInteger(everyMonths) || everyMonths < 1) {
+    return { error: "Escalation interval must be a whole number of months" };
+  }
+  return { escalation: { type, value, everyMonths } };
+};
+
+/**
+ * The monthly rent of a lease in effect on a date, after every escalation due by then
+ * @param {Object} lease - The lease document
+ * @param {Date|string} date - The date
+ * @returns {number} Rent per month
+ */
+export const getLeaseRentForDate = (lease, date) =>
+  hasEscalation(lease) ? escalate(lease.escalation, lease.rentPerMonth, stepsBy(lease, date)) : lease.rentPerMonth;
+
+/**
+ * The next escalation of a lease after a date, if it falls within the lease
+ * @param {Object} lease - The lease document
+ * @param {Date|string} date - The date (default today)
+ * @returns {Object|null} { date, currentRent, newRent }
+ */
+export const getNextEscalation = (lease, date = new Date()) => {
+  if (!hasEscalation(lease)) return null;
+
+  const step = stepsBy(lease, date) + 1;
+  const nextDate = escalationDate(lease, step);
+  if (lease.endDate && nextDate > lease.endDate) return null;
+
+  return {
+    date: nextDate,
+    currentRent: escalate(lease.escalation, lease.rentPerMonth, step - 1),
+    newRent: escalate(lease.escalation, lease.rentPerMonth, step),
+  };
+};
+
+/**
+ * The escalation schedule for a lease that continues another one (a renewal or a
+ * transfer). It keeps the original anniversaries: it is anchored at the last
+ * escalation on or before the new lease's start, whose rent becomes the new base.
+ * @param {Object} lease - The lease being continued
+ * @param {Date} startDate - Start of the new lease
+ * @returns {Object|undefined} The escalation for the new lease
+ */
+export const carryEscalation = (lease, startDate) => {
+  if (!hasEscalation(lease)) return undefined;
+
+  const steps = stepsBy(lease, startDate);
+  return {
+    type: lease.escalation.type,
+    value: lease.escalation.value,
+    everyMonths: lease.escalation.everyMonths,
+    anchorDate: steps > 0 ? escalationDate(lease, steps) : anchorOf(lease),
+  };
+};
+
+/**
+ * Upcoming and active leases with a rent increase due in the next few days
+ * @param {number} days - How far ahead to look
+ * @param {Object} filter - Extra lease query conditions, e.g. { room: { $in: [...] } } (optional)
+ * @returns {Promise<Array>} { lease, date, currentRent, newRent, daysLeft }, soonest first
+ */
+export const listUpcomingEscalations = async (days, filter = {}) => {
+  const today = startOfDay(new Date());
+  const until = new Date(today);
+  until.setDate(until.getDate() + days);
+  // Looking from yesterday includes increases that take effect today
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const leases = await Lease.find({
+    ...filter,
+    status: { $in: ["upcoming", "active"] },
+    "escalation.value": { $gt: 0 },
+  })
+    .populate("tenant", "fullName phone")
+    .populate("room", "name floor");
+
+  const upcoming = [];
+  for (const lease of leases) {
+    const next = getNextEscalation(lease, yesterday);
+    if (next && next.date <= until) {
+      upcoming.push({
+        lease,
+        ...next,
+        daysLeft: Math.round((next.date - today) / (24 * 60 * 60 * 1000)),
+      });
+    }
+  }
+  return upcoming.sort((a, b) => a.date - b.date);
+};
+
+export default {
+  validateEscalation,
+  getLeaseRentForDate,
+  getNextEscalation,
+  carryEscalation,
+  listUpcomingEscalations,
+};
@@ -0,0 +1,128 @@
+import { ITEM_CONDITIONS } from "../models/Room.js";
+
+// Lower is worse; ITEM_CONDITIONS is ordered best to worst
+const conditionRank = (condition) => ITEM_CONDITIONS.length - ITEM_CONDITIONS.indexOf(condition);
+
+/**
+ * Build a checklist for a room's inventory.
+ * Items in the input override the condition, notes and photos of the matching
+ * inventory entry (by `inventoryItem`); inventory entries that are not mentioned
+ * are recorded with their current condition. Extra input items without an
+ * `inventoryItem` are recorded as-is.
+ * @param {Object} room - The room document
+ * @param {Object} input - Checklist input (optional)
+ * @param {Array<Object>} input.items - Items as { inventoryItem, name, condition, notes, photos }
+ * @param {string} input.notes - General notes
+ * @param {string} userId - The user recording the checklist
+ * @returns {Object} { checklist } or { error } with a message
+ */
+export const buildChecklist = (room, input = {}, userId) => {
+  const items = Array.isArray(input.items) ? input.items : [];
+
+  for (const item of items) {
+    if (item.condition && !ITEM_CONDITIONS.includes(item.condition)) {
+      return { error: `Invalid condition "${item.condition}". Valid conditions are: ${ITEM_CONDITIONS.join(", ")}` };
+    }
+    if (item.photos !== undefined && !Array.isArray(item.photos)) {
+      return { error: "Checklist photos must be a list of URLs" };
+    }
+    if (item.inventoryItem && !room.inventory.id(item.inventoryItem)) {
+      return { error: `Inventory item ${item.inventoryItem} does not belong to this room` };
+    }
+    if (!item.inventoryItem && (!item.name || !item.condition)) {
+      return { error: "Checklist items outside the room inventory need a name and a condition" };
+    }
+  }
+
+  const byInventoryItem = new Map(
+    items.filter((item) => item.inventoryItem).map((item) => [String(item.inventoryItem), item])
+  );
+
+  const checklistItems = room.inventory.map((asset) => {
+    const entry = byInventoryItem.get(String(asset._id)) || {};
+    return {
+      inventoryItem: asset._id,
+      name: asset.name,
+      serialNumber: asset.serialNumber,
+      condition: entry.condition || asset.condition,
+      notes: entry.notes,
+      photos: entry.photos || [],
+    };
+  });
+
+  for (const item of items.filter((item) => !item.inventoryItem)) {
+    checklistItems.push({
+      name: item.name,
+      serialNumber: item.serialNumber,
+      condition: item.condition,
+      notes: item.notes,
+      photos: item.photos || [],
+    });
+  }
+
+  return {
+    checklist: {
+      recordedAt: new Date(),
+      recordedBy: userId,
+      items: checklistItems,
+      notes: input.notes,
+    },
+  };
+};
+
+/**
+ * Update a room's inventory to the conditions recorded in a checklist. Does not save.
+ * @param {Object} room - The room document
+ * @param {Object} checklist - A checklist built by buildChecklist
+ */
+export const applyChecklistToInventory = (room, checklist) => {
+  for (const item of checklist.items) {
+    const asset = item.inventoryItem && room.inventory.id(item.inventoryItem);
+    if (asset) asset.condition = item.condition;
+  }
+};
+
+/**
+ * Compare move-in and move-out checklists.
+ * Items are matched by inventory item, or by name for items outside the inventory.
+ * @param {Object} moveIn - The move-in checklist
+ * @param {Object} moveOut - The move-out checklist
+ * @returns {Object} { damaged, missing, unchanged } lists of item changes
+ */
+export const diffChecklists = (moveIn, moveOut) => {
+  const keyOf = (item) => (item.inventoryItem ? String(item.inventoryItem) : `name:${item.name.toLowerCase()}`);
+  const moveOutItems = new Map((moveOut.items || []).map((item) => [keyOf(item), item]));
+
+  const damaged = [];
+  const missing = [];
+  const unchanged = [];
+
+  for (const before of moveIn.items || []) {
+    const after = moveOutItems.get(keyOf(before));
+    const change = {
+      inventoryItem: before.inventoryItem,
+      name: before.name,
+      serialNumber: before.serialNumber,
+      moveInCondition: before.condition,
+      moveOutCondition: after ? after.condition : "missing",
+      notes: after ? after.notes : undefined,
+      photos: after ? after.photos : [],
+    };
+
+    if (!after || after.condition === "missing") {
+      missing.push(change);
+    } else if (conditionRank(after.condition) < conditionRank(before.condition)) {
+      damaged.push(change);
+    } else {
+      unchanged.push(change);
+    }
+  }
+
+  return { damaged, missing, unchanged };
+};
+
+export default {
+  buildChecklist,
+  applyChecklistToInventory,
+  diffChecklists,
+};
@@ -1,6 +1,94 @@
 import cron from "node-cron";
 import Invoice from "../models/Invoice.js";
 import Lease from "../models/Lease.js";
+import { forEachOrganization } from "./organizationService.js";
+import { getEffectiveSettings } from "./propertyService.js";
+import { computePeriodRent } from "./prorationService.js";
+import { applyLeaseCredit } from "./transferService.js";
+import { withTransaction } from "../config/db.js";
+
+/**
+ * Generate this month's invoices for the active leases of the current organization,
+ * prorated for leases that start or end during the month
+ * @param {Date} today - The run date
+ * @returns {Promise<Array>} The created invoices
+ */
+const generateInvoicesForOrganization = async (today) => {
+  // For the 1st of the month, we want to generate invoices for the current month
+  const month = today.getMonth(); // 0-indexed (0 = January)
+  const year = today.getFullYear();
+
+  // Generate invoices for the current month
+  const periodFrom = new Date(year, month, 1);
+  const periodTo = new Date(year, month + 1, 0);
+
+  // Active leases, and upcoming ones moving in this month (billed for their first partial month)
+  const leases = await Lease.find({
+    $or: [{ status: "active" }, { status: "upcoming", startDate: { $lt: new Date(year, month + 1, 1) } }],
+  }).populate("room tenant");
+
+  const created = [];
+  const settingsByProperty = {};
+
+  for (const lease of leases) {
+    // Check for an existing rent invoice for this lease overlapping the period;
+    // charges invoices (e.g. a notice shortfall) do not cover the rent
+    const exists = await Invoice.findOne({
+      lease: lease._id,
+      kind: { $ne: "charges" },
+      periodFrom: { $lte: periodTo },
+      periodTo: { $gte: periodFrom },
+      status: { $ne: "void" },
+    });
+
+    if (exists) {
+      console.log(`Invoice already exists for lease ${lease._id} for period ${periodFrom} to ${periodTo}`);
+      continue;
+    }
+
+    // Set issue date to today and due date based on billing day
+    const issueDate = today;
+    const dueDate = new Date(year, month, lease.billingDay || 1);
+
+    const propertyKey = String(lease.room.property || "global");
+    if (!settingsByProperty[propertyKey]) {
+      settingsByProperty[propertyKey] = await getEffectiveSettings(lease.room.property);
+    }
+
+    // Leases moving in or out this month are billed only for their days
+    const rent = computePeriodRent(lease, periodFrom, periodTo, settingsByProperty[propertyKey].prorationMethod);
+    if (!rent) {
+      continue;
+    }
+
+    const invoice = new Invoice({
+      lease: lease._id,
+      tenant: lease.tenant._id,
+      room: lease.room._id,
+      periodFrom: rent.periodFrom,
+      periodTo: rent.periodTo,
+      issueDate,
+      dueDate,
+      baseAmount: rent.baseAmount,
+      proration: rent.proration || undefined,
+      totalAmount: rent.baseAmount,
+    });
+    // Credit left over from a room transfer is taken off the next invoices
+    await withTransaction(async () => {
+      await applyLeaseCredit(invoice, lease);
+      await invoice.save();
+    });
+
+    await invoice.populate("tenant", "fullName phone");
+    await invoice.populate("room", "name floor");
+    await invoice.populate("lease", "startDate endDate rentPerMonth");
+
+    created.push(invoice);
+    console.log(`Generated invoice ${invoice._id} for lease ${lease._id}`);
+  }
+
+  return created;
+};
 
 /**
  * Scheduled task to generate monthly invoices
@@ -13,56 +101,12 @@ export const scheduleMonthlyInvoiceGeneration = () => {
     
     try {
       const today = new Date();
-      // For the 1st of the month, we want to generate invoices for the current month
-      const month = today.getMonth(); // 0-indexed (0 = January)
-      const year = today.getFullYear();
-      
-      const leases = await Lease.find({ status: "active" }).populate("room tenant");
-      
-      const created = [];
-      
-      for (const lease of leases) {
-        // Generate invoice for the current month
-        const periodFrom = new Date(year, month, 1);
-        const periodTo = new Date(year, month + 1, 0);
-        
-        // Check for existing invoice for this lease and period
-        const exists = await Invoice.findOne({
-          lease: lease._id,
-          periodFrom,
-          periodTo,
-        });
-        
-        if (exists) {
-          console.log(`Invoice already exists for lease ${lease._id} for period ${periodFrom} to ${periodTo}`);
-          continue;
-        }
-        
-        // Set issue date to today and due date based on billing day
-        const issueDate = today;
-        const dueDate = new Date(year, month, lease.billingDay || 1);
-        
-        const invoice = await Invoice.create({
-          lease: lease._id,
-          tenant: lease.tenant._id,
-          room: lease.room._id,
-          periodFrom,
-          periodTo,
-          issueDate,
-          dueDate,
-          baseAmount: lease.rentPerMonth,
-          totalAmount: lease.rentPerMonth,
-        });
-        
-        await invoice.populate("tenant", "fullName phone");
-        await invoice.populate("room", "name floor");
-        await invoice.populate("lease", "startDate endDate rentPerMonth");
-        
-        created.push(invoice);
-        console.log(`Generated invoice ${invoice._id} for lease ${lease._id}`);
-      }
-      
-      console.log(`Monthly invoice generation completed. Created ${created.length} invoices.`);
+      const results = await forEachOrganization("Monthly invoice generation", () =>
+        generateInvoicesForOrganization(today)
+      );
+      const total = results.reduce((sum, created) => sum + created.length, 0);
+
+      console.log(`Monthly invoice generation completed. Created ${total} invoices.`);
     } catch (error) {
       console.error("Error in scheduled monthly invoice generation:", error.message);
     }
@@ -0,0 +1,181 @@
+import cron from "node-cron";
+import Lease from "../models/Lease.js";
+import Settings from "../models/Settings.js";
+import { syncRoomOccupancy } from "./occupancyService.js";
+import { createLeaseStatusNotification, createLeaseExpiryNotification } from "./notificationService.js";
+import { forEachOrganization } from "./organizationService.js";
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from today until a date (0 when it is today)
+ * @param {Date|string} date - The date
+ * @param {Date} today - The reference date (default now)
+ * @returns {number}
+ */
+export const daysUntil = (date, today = new Date()) =>
+  Math.round((startOfDay(date) - startOfDay(today)) / DAY_MS);
+
+/**
+ * Status a lease should have on a date based on its start and end dates
+ * @param {Date|string} startDate - Lease start date
+ * @param {Date|string} endDate - Lease end date (optional)
+ * @param {Date} today - The reference date (default now)
+ * @returns {string} "upcoming", "active" or "ended"
+ */
+export const statusForDates = (startDate, endDate, today = new Date()) => {
+  if (new Date(startDate) > endOfDay(today)) {
+    return "upcoming";
+  }
+  if (endDate && new Date(endDate) < startOfDay(today)) {
+    return "ended";
+  }
+  return "active";
+};
+
+/**
+ * Move the current organization's leases between statuses by date:
+ * upcoming leases that have started become active, and active leases whose
+ * end date has passed become ended. Rooms are resynced and every transition is notified.
+ * @param {Date} today - The run date (default now)
+ * @returns {Promise<Object>} { activated, ended } lease IDs
+ */
+export const runLeaseLifecycle = async (today = new Date()) => {
+  const toActivate = await Lease.find({
+    status: "upcoming",
+    startDate: { $lte: endOfDay(today) },
+  }).populate("tenant", "fullName").populate("room", "name");
+
+  const toEnd = await Lease.find({
+    status: { $in: ["upcoming", "active"] },
+    endDate: { $lt: startOfDay(today) },
+  }).populate("tenant", "fullName").populate("room", "name");
+
+  const endingIds = new Set(toEnd.map((lease) => String(lease._id)));
+  const rooms = new Set();
+  const activated = [];
+  const ended = [];
+
+  for (const lease of toActivate) {
+    // Leases that already ran out go straight to ended below
+    if (endingIds.has(String(lease._id))) continue;
+
+    lease.status = "active";
+    await lease.save();
+    rooms.add(String(lease.room._id));
+    activated.push(lease._id);
+
+    try {
+      await createLeaseStatusNotification(lease, "active");
+    } catch (notificationError) {
+      console.error("Failed to create lease start notification:", notificationError.message);
+    }
+  }
+
+  for (const lease of toEnd) {
+    lease.status = "ended";
+    await lease.save();
+    rooms.add(String(lease.room._id));
+    ended.push(lease._id);
+
+    try {
+      await createLeaseStatusNotification(lease, "ended");
+    } catch (notificationError) {
+      console.error("Failed to create lease end notification:", notificationError.message);
+    }
+  }
+
+  for (const roomId of rooms) {
+    await syncRoomOccupancy(roomId);
+  }
+
+  return { activated, ended };
+};
+
+/**
+ * Remind admins and tenants of leases ending soon, once per configured offset
+ * (Settings.leaseExpiryReminderDays). Leases that were already renewed are skipped.
+ * @param {Date} today - The run date (default now)
+ * @returns {Promise<Array>} IDs of leases a reminder was sent for
+ */
+export const sendLeaseExpiryReminders = async (today = new Date()) => {
+  const settings = await Settings.findOne();
+  const offsets = settings && settings.leaseExpiryReminderDays
+    ? [...settings.leaseExpiryReminderDays]
+    : [30, 7];
+  if (offsets.length === 0) {
+    return [];
+  }
+
+  const horizon = endOfDay(new Date(startOfDay(today).getTime() + Math.max(...offsets) * DAY_MS));
+  const leases = await Lease.find({
+    status: { $in: ["upcoming", "active"] },
+    nextLease: null,
+    endDate: { $gte: startOfDay(today), $lte: horizon },
+  }).populate("tenant", "fullName").populate("room", "name");
+
+  const reminded = [];
+  for (const lease of leases) {
+    const daysLeft = daysUntil(lease.endDate, today);
+    const due = offsets.filter((offset) => daysLeft <= offset && !lease.expiryRemindersSent.includes(offset));
+    if (due.length === 0) continue;
+
+    // One reminder per run, even if several offsets were missed
+    lease.expiryRemindersSent.push(...due);
+    await lease.save();
+    reminded.push(lease._id);
+
+    try {
+      await createLeaseExpiryNotification(lease, daysLeft);
+    } catch (notificationError) {
+      console.error("Failed to create lease expiry notification:", notificationError.message);
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Scheduled task to start and end leases by date and send expiry reminders
+ * Runs every day at 12:10 AM
+ */
+export const scheduleLeaseLifecycleJob = () => {
+  cron.schedule("10 0 * * *", async () => {
+    console.log("Running lease lifecycle job...");
+
+    try {
+      const results = await forEachOrganization("Lease lifecycle job", async () => ({
+        ...(await runLeaseLifecycle()),
+        reminded: await sendLeaseExpiryReminders(),
+      }));
+      const activated = results.reduce((sum, result) => sum + result.activated.length, 0);
+      const ended = results.reduce((sum, result) => sum + result.ended.length, 0);
+      const reminded = results.reduce((sum, result) => sum + result.reminded.length, 0);
+      console.log(`Lease lifecycle job completed. Activated ${activated}, ended ${ended} and sent ${reminded} expiry reminders.`);
+    } catch (error) {
+      console.error("Error in scheduled lease lifecycle job:", error.message);
+    }
+  });
+
+  console.log("Lease lifecycle job scheduled daily at 12:10 AM");
+};
+
+export default {
+  statusForDates,
+  daysUntil,
+  runLeaseLifecycle,
+  sendLeaseExpiryReminders,
+  scheduleLeaseLifecycleJob,
+};
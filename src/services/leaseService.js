@@ -0,0 +1,100 @@
+import Invoice from "../models/Invoice.js";
+import Lease from "../models/Lease.js";
+import Payment from "../models/Payment.js";
+import { statusForDates } from "./leaseLifecycleService.js";
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Issued invoices a change of lease dates would leave billing days outside the lease
+ * @param {Object} lease - The lease document
+ * @param {Object} dates - The new dates
+ * @param {Date} dates.startDate - New start date
+ * @param {Date|null} dates.endDate - New end date (null for open-ended)
+ * @returns {Promise<Array>} The conflicting invoices
+ */
+export const findInvoiceConflicts = async (lease, { startDate, endDate }) => {
+  const outside = [{ periodFrom: { $lt: startOfDay(startDate) } }];
+  if (endDate) {
+    const dayAfterEnd = startOfDay(endDate);
+    dayAfterEnd.setDate(dayAfterEnd.getDate() + 1);
+    outside.push({ periodTo: { $gte: dayAfterEnd } });
+  }
+
+  return Invoice.find({
+    lease: lease._id,
+    status: { $ne: "void" },
+    $or: outside,
+  }).sort({ periodFrom: 1 });
+};
+
+/**
+ * Cancel a booking: unpaid invoices are voided and a renewal hands its carried-over
+ * deposit and its original end date back to the lease it renews. Leases with payments against their invoices
+ * cannot be cancelled and must be ended instead. Does not update the room.
+ * @param {Object} lease - The upcoming or active lease document
+ * @param {string} reason - Why the booking was cancelled (optional)
+ * @returns {Promise<Object>} { lease, voidedInvoices } or { error } with a message
+ */
+export const cancelLease = async (lease, reason) => {
+  if (!["upcoming", "active"].includes(lease.status)) {
+    return { error: "Only upcoming or active leases can be cancelled" };
+  }
+  if (lease.nextLease) {
+    return { error: "Lease has been renewed or transferred; cancel the next lease instead" };
+  }
+
+  if (await Payment.exists({ lease: lease._id, kind: { $ne: "deposit_refund" } })) {
+    return { error: "Lease has payments recorded against its invoices; end it instead" };
+  }
+
+  let previous = null;
+  if (lease.previousLease) {
+    previous = await Lease.findById(lease.previousLease);
+    if (previous && previous.transferredAt) {
+      return { error: "A room transfer cannot be cancelled; transfer the tenant back instead" };
+    }
+  }
+
+  const now = new Date();
+  const invoices = await Invoice.find({ lease: lease._id, status: { $in: ["unpaid", "overdue"] } });
+  for (const invoice of invoices) {
+    invoice.status = "void";
+    invoice.voidedAt = now;
+    invoice.voidReason = "Lease cancelled";
+    await invoice.save();
+  }
+
+  // The renewed lease gets back the deposit that was carried over to this one
+  if (previous) {
+    const carried = lease.depositPaid || 0;
+    previous.depositTransferred = Math.max((previous.depositTransferred || 0) - carried, 0);
+    previous.nextLease = undefined;
+    if (previous.endDateBeforeRenewal !== undefined) {
+      previous.endDate = previous.endDateBeforeRenewal ?? undefined;
+      previous.endDateBeforeRenewal = undefined;
+      // The renewed lease may have ended on the date the renewal gave it
+      if (previous.status === "ended") {
+        previous.status = statusForDates(previous.startDate, previous.endDate);
+      }
+    }
+    await previous.save();
+    lease.depositPaid = 0;
+  }
+
+  lease.status = "cancelled";
+  lease.cancelledAt = now;
+  lease.cancellationReason = reason;
+  await lease.save();
+
+  return { lease, voidedInvoices: invoices };
+};
+
+export default {
+  findInvoiceConflicts,
+  cancelLease,
+};
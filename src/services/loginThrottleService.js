@@ -0,0 +1,179 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+import User from "../models/User.js";
+import { createAdminNotifications } from "./notificationService.js";
+import { runWithOrganization } from "../plugins/organizationScope.js";
+
+// Read on use: this module loads before dotenv has filled process.env
+const maxAccountFailures = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const maxIpFailures = () => Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const lockoutMinutes = () => Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures are forgotten after this long without another failure
+const FAILURE_WINDOW_HOURS = 24;
+// The first failures are free, after that each one doubles the wait (2s, 4s, 8s ... 60s)
+const FREE_FAILURES = 2;
+const MAX_DELAY_SECONDS = 60;
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delaySeconds = (failures) =>
+  failures <= FREE_FAILURES
+    ? 0
+    : Math.min(2 ** (failures - FREE_FAILURES), MAX_DELAY_SECONDS);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params
+ * @param {string} params.email - The email being logged in to
+ * @param {string} params.ip - The client IP
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds, locked }
+ */
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  let blockedUntil = null;
+  let locked = false;
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      locked = true;
+      if (!blockedUntil || attempt.lockedUntil > blockedUntil) blockedUntil = attempt.lockedUntil;
+    } else if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+      if (!blockedUntil || attempt.nextAttemptAt > blockedUntil) blockedUntil = attempt.nextAttemptAt;
+    }
+  }
+
+  if (!blockedUntil) {
+    return { allowed: true };
+  }
+  return { allowed: false, locked, retryAfterSeconds: secondsUntil(blockedUntil) };
+};
+
+const registerFailure = async (key, maxFailures, ip) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + FAILURE_WINDOW_HOURS * 60 * 60 * 1000),
+      },
+      ...(ip ? { $addToSet: { ips: ip } } : {}),
+    },
+    { new: true, upsert: true }
+  );
+
+  const update = {};
+  const delay = delaySeconds(attempt.failures);
+  if (delay > 0) update.nextAttemptAt = new Date(now.getTime() + delay * 1000);
+
+  // Lock exactly once when the threshold is reached, then start counting again
+  const justLocked = attempt.failures >= maxFailures;
+  if (justLocked) {
+    update.lockedUntil = new Date(now.getTime() + lockoutMinutes() * 60 * 1000);
+    update.failures = 0;
+    update.nextAttemptAt = null;
+  }
+
+  if (Object.keys(update).length > 0) {
+    await LoginAttempt.updateOne({ _id: attempt._id }, update);
+  }
+  return { justLocked, lockedUntil: update.lockedUntil };
+};
+
+/**
+ * Record a failed login (wrong password or 2FA code) for the account and the IP
+ * @param {Object} params
+ * @param {string} params.email - The email being logged in to
+ * @param {string} params.ip - The client IP
+ * @returns {Promise<void>}
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  // The account remembers the IPs that failed on it so an unlock can clear their blocks too
+  const account = await registerFailure(accountKey(email), maxAccountFailures(), ip);
+  const client = await registerFailure(ipKey(ip), maxIpFailures());
+
+  if (client.justLocked) {
+    // An IP is not tied to one organization, so there is nobody in particular to notify
+    console.warn(`Logins from IP ${ip} blocked for ${lockoutMinutes()} minutes after ${maxIpFailures()} failed attempts`);
+  }
+
+  if (!account.justLocked) {
+    return;
+  }
+
+  try {
+    // Notify the admins of the organization the locked account belongs to
+    const user = await User.findOne({ email });
+    if (!user) {
+      return;
+    }
+
+    await runWithOrganization(user.organization, () =>
+      createAdminNotifications({
+        title: "Account Locked",
+        message: `Login for ${email} was locked for ${lockoutMinutes()} minutes after ${maxAccountFailures()} failed attempts (last from IP ${ip})`,
+        type: "warning",
+        relatedEntity: user._id,
+        relatedEntityType: "User",
+        priority: "high",
+      })
+    );
+  } catch (notificationError) {
+    console.error("Failed to create lockout notification:", notificationError.message);
+  }
+};
+
+/**
+ * Clear the failure count of an account after a successful login
+ * @param {Object} params
+ * @param {string} params.email - The email that logged in
+ * @returns {Promise<void>}
+ */
+export const recordLoginSuccess = async ({ email }) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * Get the lockout state of an account
+ * @param {string} email - The account email
+ * @returns {Promise<Object>} { locked, lockedUntil, failures }
+ */
+export const getAccountLockStatus = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: accountKey(email) });
+  const locked = Boolean(attempt && attempt.lockedUntil && attempt.lockedUntil > new Date());
+  return {
+    locked,
+    lockedUntil: locked ? attempt.lockedUntil : null,
+    failures: attempt ? attempt.failures : 0,
+  };
+};
+
+/**
+ * Remove an account lockout and its failure count, along with the blocks of the
+ * IPs that failed on it
+ * @param {string} email - The account email
+ * @returns {Promise<boolean>} Whether there was anything to clear
+ */
+export const unlockAccount = async (email) => {
+  const attempt = await LoginAttempt.findOneAndDelete({ key: accountKey(email) });
+  if (!attempt) {
+    return false;
+  }
+
+  if (attempt.ips && attempt.ips.length > 0) {
+    await LoginAttempt.deleteMany({ key: { $in: attempt.ips.map(ipKey) } });
+  }
+  return true;
+};
+
+export default {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getAccountLockStatus,
+  unlockAccount,
+};
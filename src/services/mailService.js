@@ -0,0 +1,70 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Mail transports. A transport is an object with an async send(message) method,
+ * where message is { to, subject, text }. Select one with MAIL_TRANSPORT.
+ */
+const transports = {
+  // Print the message to stdout (default, handy for local development)
+  console: {
+    send: async (message) => {
+      console.log(
+        `--- mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n--- end of mail ---`
+      );
+    },
+  },
+
+  // Write each message as a .txt file to MAIL_FILE_DIR (default: ./mail-outbox)
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_FILE_DIR || "mail-outbox";
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.txt`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        `To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+      );
+    },
+  },
+};
+
+/**
+ * Register a custom transport (e.g. SMTP or a provider API)
+ * @param {string} name - The name used in MAIL_TRANSPORT
+ * @param {Object} transport - An object with an async send(message) method
+ */
+export const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("Mail transport must implement send(message)");
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - The message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+export const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  try {
+    await transport.send(message);
+  } catch (error) {
+    console.error("Error sending mail:", error.message);
+    throw error;
+  }
+};
+
+export default {
+  registerMailTransport,
+  sendMail,
+};
@@ -0,0 +1,89 @@
+import MaintenanceTicket from "../models/MaintenanceTicket.js";
+import Room from "../models/Room.js";
+import { syncRoomOccupancy } from "./occupancyService.js";
+import { createMaintenanceNotification, createNotification } from "./notificationService.js";
+
+/**
+ * Put a ticket's room in maintenance if the ticket is blocking and unresolved,
+ * and notify admins the first time the room is taken out of service.
+ * @param {Object} ticket - The maintenance ticket
+ * @returns {Promise<Object|null>} The room, or null if it does not exist
+ */
+export const blockRoomForTicket = async (ticket) => {
+  if (!ticket.blocksRoom || ticket.status === "resolved") {
+    return null;
+  }
+
+  const room = await Room.findById(ticket.room);
+  if (!room) {
+    return null;
+  }
+
+  if (room.status !== "maintenance") {
+    room.status = "maintenance";
+    await room.save();
+
+    try {
+      await createMaintenanceNotification(room, `${ticket.title} (${ticket.category}, ${ticket.priority} priority)`);
+    } catch (notificationError) {
+      console.error("Failed to create maintenance notification:", notificationError.message);
+    }
+  }
+
+  return room;
+};
+
+/**
+ * Take a room out of maintenance once it has no unresolved blocking tickets left.
+ * Its status is then recalculated from its leases.
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Object|null>} The room, or null if it does not exist
+ */
+export const releaseRoom = async (roomId) => {
+  const stillBlocked = await MaintenanceTicket.exists({
+    room: roomId,
+    blocksRoom: true,
+    status: { $ne: "resolved" },
+  });
+
+  const room = await Room.findById(roomId);
+  if (!room || stillBlocked || room.status !== "maintenance") {
+    return room;
+  }
+
+  room.status = "vacant";
+  await room.save();
+  return syncRoomOccupancy(roomId);
+};
+
+/**
+ * Let a user know a ticket has been assigned to them
+ * @param {Object} ticket - The maintenance ticket
+ * @returns {Promise<Object|null>} The created notification, or null if the ticket is unassigned
+ */
+export const notifyAssignee = async (ticket) => {
+  if (!ticket.assignee) {
+    return null;
+  }
+
+  try {
+    return await createNotification({
+      title: "Maintenance Ticket Assigned",
+      message: `You have been assigned "${ticket.title}" (${ticket.priority} priority)`,
+      type: "maintenance",
+      recipient: ticket.assignee,
+      relatedEntity: ticket._id,
+      relatedEntityType: "MaintenanceTicket",
+      priority: ticket.priority,
+    });
+  } catch (notificationError) {
+    console.error("Failed to notify ticket assignee:", notificationError.message);
+    return null;
+  }
+};
+
+export default {
+  blockRoomForTicket,
+  releaseRoom,
+  notifyAssignee,
+};
@@ -0,0 +1,213 @@
+import Invoice from "../models/Invoice.js";
+import Lease from "../models/Lease.js";
+import Room from "../models/Room.js";
+import { getEffectiveSettings } from "./propertyService.js";
+import { getLeaseRentForDate } from "./escalationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The notice period that applies to a lease: its own, else its property's, else the global one
+ * @param {Object} lease - The lease document
+ * @returns {Promise<number>} Notice period in days
+ */
+export const getNoticePeriodDays = async (lease) => {
+  if (lease.noticePeriodDays !== undefined && lease.noticePeriodDays !== null) {
+    return lease.noticePeriodDays;
+  }
+  const room = await Room.findById(lease.room).select("property");
+  const settings = await getEffectiveSettings(room ? room.property : undefined);
+  return settings.noticePeriodDays ?? 30;
+};
+
+/**
+ * Days of notice short of the notice period, charged at the lease's daily rent
+ * (monthly rent in effect on the vacate date / 30)
+ * @param {Object} lease - The lease document
+ * @param {Date} givenOn - When notice was given
+ * @param {Date} vacateDate - Planned vacate date
+ * @param {number} periodDays - The notice period
+ * @returns {Object} { noticeDays, shortfallDays, shortfallAmount }
+ */
+export const computeNoticeShortfall = (lease, givenOn, vacateDate, periodDays) => {
+  const noticeDays = Math.max(Math.round((startOfDay(vacateDate) - startOfDay(givenOn)) / DAY_MS), 0);
+  const shortfallDays = Math.max(periodDays - noticeDays, 0);
+  return {
+    noticeDays,
+    shortfallDays,
+    shortfallAmount: roundAmount((getLeaseRentForDate(lease, vacateDate) * shortfallDays) / 30),
+  };
+};
+
+/**
+ * Record notice to vacate on a lease. The lease's end date moves to the vacate
+ * date so the lifecycle job ends it and the bed shows as available from then.
+ * Giving notice again replaces the earlier notice. Does not save.
+ * @param {Object} lease - The lease document
+ * @param {Object} input - The notice
+ * @param {Date|string} input.givenOn - When notice was given (default today)
+ * @param {Date|string} input.vacateDate - Planned vacate date
+ * @param {string} input.givenBy - "tenant" or "landlord" (default tenant)
+ * @param {string} input.reason - Why the tenant is leaving (optional)
+ * @param {string} userId - The user recording the notice
+ * @returns {Promise<Object>} { notice } or { error } with a message
+ */
+export const recordNotice = async (lease, { givenOn, vacateDate, givenBy, reason }, userId) => {
+  if (!["upcoming", "active"].includes(lease.status)) {
+    return { error: "Notice can only be given on upcoming or active leases" };
+  }
+  if (lease.nextLease) {
+    return { error: "Lease has already been renewed or transferred; give notice on the next lease" };
+  }
+
+  const noticeDate = startOfDay(givenOn || new Date());
+  const vacate = vacateDate ? startOfDay(vacateDate) : null;
+  if (isNaN(noticeDate.getTime())) {
+    return { error: "Notice date must be a valid date" };
+  }
+  if (!vacate || isNaN(vacate.getTime())) {
+    return { error: "A valid vacate date is required" };
+  }
+  if (vacate < noticeDate) {
+    return { error: "Vacate date cannot be before the notice date" };
+  }
+  if (vacate < startOfDay(lease.startDate)) {
+    return { error: "Vacate date cannot be before the lease start date" };
+  }
+
+  // Keep the end date from before any earlier notice so a withdrawal restores it
+  const previousEndDate = lease.notice ? lease.notice.previousEndDate : lease.endDate;
+  if (previousEndDate && vacate > previousEndDate) {
+    return { error: "Vacate date cannot be after the lease end date" };
+  }
+
+  const periodDays = await getNoticePeriodDays(lease);
+  const { shortfallDays, shortfallAmount } = computeNoticeShortfall(lease, noticeDate, vacate, periodDays);
+
+  lease.notice = {
+    givenOn: noticeDate,
+    vacateDate: vacate,
+    givenBy: givenBy || "tenant",
+    reason,
+    recordedBy: userId,
+    previousEndDate,
+    periodDays,
+    shortfallDays,
+    shortfallAmount,
+  };
+  lease.endDate = vacate;
+
+  return { notice: lease.notice };
+};
+
+/**
+ * Withdraw a lease's notice and restore the end date it had before. Does not save.
+ * @param {Object} lease - The lease document
+ * @returns {Object} { lease } or { error } with a message
+ */
+export const withdrawNotice = (lease) => {
+  if (!lease.notice) {
+    return { error: "Lease has no notice to withdraw" };
+  }
+  if (!["upcoming", "active"].includes(lease.status)) {
+    return { error: "Notice can only be withdrawn while the lease is upcoming or active" };
+  }
+  if (lease.notice.shortfallInvoice) {
+    return { error: "The notice shortfall has already been billed" };
+  }
+
+  lease.endDate = lease.notice.previousEndDate;
+  lease.notice = undefined;
+  return { lease };
+};
+
+/**
+ * Bill a lease's notice shortfall on its own invoice, due on the vacate date
+ * @param {Object} lease - The lease document with a notice
+ * @returns {Promise<Object>} { invoice } or { error } with a message
+ */
+export const billNoticeShortfall = async (lease) => {
+  if (!lease.notice) {
+    return { error: "Lease has no notice" };
+  }
+  if (lease.notice.shortfallInvoice) {
+    return { error: "The notice shortfall has already been billed" };
+  }
+  if (!(lease.notice.shortfallAmount > 0)) {
+    return { error: "Notice was given in full; there is no shortfall to bill" };
+  }
+  if (lease.settlement && lease.settlement.status === "finalized") {
+    return { error: "Settlement has already been finalized" };
+  }
+
+  const vacateDate = lease.notice.vacateDate;
+  const invoice = new Invoice({
+    kind: "charges",
+    lease: lease._id,
+    tenant: lease.tenant,
+    room: lease.room,
+    periodFrom: vacateDate,
+    periodTo: vacateDate,
+    issueDate: new Date(),
+    dueDate: vacateDate > new Date() ? vacateDate : new Date(),
+    baseAmount: 0,
+    adjustments: [
+      {
+        description: `Notice period shortfall: ${lease.notice.shortfallDays} of ${lease.notice.periodDays} days`,
+        amount: lease.notice.shortfallAmount,
+      },
+    ],
+    totalAmount: 0,
+  });
+  invoice.recalculateTotal();
+  await invoice.save();
+
+  lease.notice.shortfallInvoice = invoice._id;
+  await lease.save();
+
+  return { invoice };
+};
+
+/**
+ * When beds under notice free up, per room: the day after the earliest vacate date
+ * among the room's active leases on notice
+ * @param {Array<string>} roomIds - The rooms to check
+ * @returns {Promise<Map<string, Object>>} Room ID → { availableFrom, bedsOnNotice }
+ */
+export const getNoticeAvailability = async (roomIds) => {
+  const leasesOnNotice = await Lease.find({
+    room: { $in: roomIds },
+    status: { $in: ["upcoming", "active"] },
+    notice: { $exists: true },
+  }).select("room notice.vacateDate");
+
+  const byRoom = new Map();
+  for (const lease of leasesOnNotice) {
+    const availableFrom = startOfDay(lease.notice.vacateDate);
+    availableFrom.setDate(availableFrom.getDate() + 1);
+
+    const key = String(lease.room);
+    const entry = byRoom.get(key) || { availableFrom, bedsOnNotice: 0 };
+    if (availableFrom < entry.availableFrom) entry.availableFrom = availableFrom;
+    entry.bedsOnNotice += 1;
+    byRoom.set(key, entry);
+  }
+  return byRoom;
+};
+
+export default {
+  getNoticePeriodDays,
+  computeNoticeShortfall,
+  recordNotice,
+  withdrawNotice,
+  billNoticeShortfall,
+  getNoticeAvailability,
+};
@@ -1,5 +1,6 @@
 import Notification from "../models/Notification.js";
 import User from "../models/User.js";
+import { NOTIFIED_ROLES } from "../config/permissions.js";
 
 /**
  * Create a new notification
@@ -30,8 +31,8 @@ export const createNotification = async (notificationData) => {
  */
 export const createAdminNotifications = async (notificationData) => {
   try {
-    // Find all admin users
-    const admins = await User.find({ role: "admin" });
+    // Find all active users whose role receives notifications
+    const admins = await User.find({ role: { $in: NOTIFIED_ROLES }, isActive: true });
     
     // Create notifications for each admin
     const notifications = [];
@@ -50,6 +51,29 @@ export const createAdminNotifications = async (notificationData) => {
   }
 };
 
+/**
+ * Create a notification for the portal account of a tenant, if they have one
+ * @param {string} tenantId - The tenant ID
+ * @param {Object} notificationData - The notification data
+ * @returns {Promise<Object|null>} The created notification, or null if the tenant has no account
+ */
+export const createTenantNotification = async (tenantId, notificationData) => {
+  try {
+    const account = await User.findOne({ tenant: tenantId, isActive: true });
+    if (!account) {
+      return null;
+    }
+
+    return await createNotification({
+      ...notificationData,
+      recipient: account._id,
+    });
+  } catch (error) {
+    console.error("Error creating tenant notification:", error.message);
+    throw error;
+  }
+};
+
 /**
  * Create payment notification
  * @param {Object} payment - The payment object
@@ -103,6 +127,15 @@ export const createInvoiceNotification = async (invoice) => {
       relatedEntityType: "Invoice",
       priority: "medium",
     });
+
+    await createTenantNotification(invoice.tenant._id, {
+      title: "New Invoice",
+      message: `A new invoice of ₹${invoice.totalAmount} for ${new Date(invoice.periodFrom).toLocaleDateString()} to ${new Date(invoice.periodTo).toLocaleDateString()} is due on ${new Date(invoice.dueDate).toLocaleDateString()}`,
+      type: "invoice",
+      relatedEntity: invoice._id,
+      relatedEntityType: "Invoice",
+      priority: "medium",
+    });
     
     return notification;
   } catch (error) {
@@ -158,11 +191,129 @@ export const createMaintenanceNotification = async (room, message) => {
   }
 };
 
+/**
+ * Create lease status change notification
+ * @param {Object} lease - The lease object, with tenant and room populated
+ * @param {string} status - The new status ("active" or "ended")
+ * @returns {Promise<Object>} The created notifications
+ */
+export const createLeaseStatusNotification = async (lease, status) => {
+  try {
+    const tenantName = lease.tenant && lease.tenant.fullName ? lease.tenant.fullName : "Tenant";
+    const roomName = lease.room && lease.room.name ? lease.room.name : "their room";
+    const started = status === "active";
+
+    const notification = await createAdminNotifications({
+      title: started ? "Lease Started" : "Lease Ended",
+      message: started
+        ? `${tenantName}'s lease for ${roomName} started on ${new Date(lease.startDate).toLocaleDateString()}`
+        : `${tenantName}'s lease for ${roomName} ended on ${new Date(lease.endDate).toLocaleDateString()}`,
+      type: "info",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: started ? "low" : "medium",
+    });
+
+    await createTenantNotification(lease.tenant._id || lease.tenant, {
+      title: started ? "Your Lease Has Started" : "Your Lease Has Ended",
+      message: started
+        ? `Your lease for ${roomName} is now active`
+        : `Your lease for ${roomName} ended on ${new Date(lease.endDate).toLocaleDateString()}`,
+      type: "info",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: "medium",
+    });
+
+    return notification;
+  } catch (error) {
+    console.error("Error creating lease status notification:", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create lease expiry reminder notification
+ * @param {Object} lease - The lease object, with tenant and room populated
+ * @param {number} daysLeft - Days until the lease ends
+ * @returns {Promise<Object>} The created notifications
+ */
+export const createLeaseExpiryNotification = async (lease, daysLeft) => {
+  try {
+    const endDate = new Date(lease.endDate).toLocaleDateString();
+    const when = daysLeft <= 0 ? "today" : `in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
+
+    const notification = await createAdminNotifications({
+      title: "Lease Expiring",
+      message: `${lease.tenant.fullName}'s lease for ${lease.room.name} ends ${when} (${endDate}). Renew it or plan the move-out.`,
+      type: "warning",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: daysLeft <= 7 ? "high" : "medium",
+    });
+
+    await createTenantNotification(lease.tenant._id, {
+      title: "Your Lease Is Ending",
+      message: `Your lease for ${lease.room.name} ends ${when} (${endDate}). Please contact us to renew.`,
+      type: "info",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: "medium",
+    });
+
+    return notification;
+  } catch (error) {
+    console.error("Error creating lease expiry notification:", error.message);
+    throw error;
+  }
+};
+
+/**
+ * Create notice-to-vacate notifications for admins and the tenant
+ * @param {Object} lease - The lease object with a notice, with tenant and room populated
+ * @returns {Promise<Object>} The created notifications
+ */
+export const createNoticeNotification = async (lease) => {
+  try {
+    const vacateDate = new Date(lease.notice.vacateDate).toLocaleDateString();
+    const shortfall = lease.notice.shortfallDays > 0
+      ? ` Notice is ${lease.notice.shortfallDays} days short of the ${lease.notice.periodDays}-day notice period.`
+      : "";
+
+    const notification = await createAdminNotifications({
+      title: "Notice to Vacate",
+      message: `${lease.tenant.fullName} will vacate ${lease.room.name} on ${vacateDate}.${shortfall}`,
+      type: "warning",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: lease.notice.shortfallDays > 0 ? "high" : "medium",
+    });
+
+    await createTenantNotification(lease.tenant._id, {
+      title: "Notice Recorded",
+      message: `Your notice to vacate ${lease.room.name} on ${vacateDate} has been recorded.${shortfall}`,
+      type: "info",
+      relatedEntity: lease._id,
+      relatedEntityType: "Lease",
+      priority: "medium",
+    });
+
+    return notification;
+  } catch (error) {
+    console.error("Error creating notice notification:", error.message);
+    throw error;
+  }
+};
+
 export default {
   createNotification,
   createAdminNotifications,
+  createTenantNotification,
   createPaymentNotification,
   createInvoiceNotification,
   createOverdueInvoiceNotification,
   createMaintenanceNotification,
+  createLeaseStatusNotification,
+  createLeaseExpiryNotification,
+  createNoticeNotification,
 };
\ No newline at end of file
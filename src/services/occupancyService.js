@@ -0,0 +1,157 @@
+import Lease from "../models/Lease.js";
+import Room from "../models/Room.js";
+import { transactionsAvailable, releaseAfterWrites, writeConflictError } from "../config/db.js";
+
+// Lease statuses that hold a bed
+const BED_HOLDING_STATUSES = ["upcoming", "active"];
+
+// A booking lock left by a crashed request expires after this long
+const BOOKING_LOCK_MS = 30 * 1000;
+
+/**
+ * Upcoming or active leases of a room that overlap a period.
+ * Leases without an end date run indefinitely.
+ * @param {string} roomId - The room ID
+ * @param {Date|string} startDate - Start of the period
+ * @param {Date|string} endDate - End of the period (optional, open-ended when missing)
+ * @param {string} excludeLeaseId - Lease to ignore, e.g. the one being edited (optional)
+ * @returns {Promise<Array>} Overlapping leases
+ */
+export const findOverlappingLeases = async (roomId, startDate, endDate, excludeLeaseId) => {
+  const query = {
+    room: roomId,
+    status: { $in: BED_HOLDING_STATUSES },
+    $or: [{ endDate: null }, { endDate: { $gte: new Date(startDate) } }],
+  };
+  if (endDate) {
+    query.startDate = { $lte: new Date(endDate) };
+  }
+  if (excludeLeaseId) {
+    query._id = { $ne: excludeLeaseId };
+  }
+
+  return Lease.find(query);
+};
+
+/**
+ * Pick a bed for a new lease in a room for a period.
+ * @param {Object} room - The room document
+ * @param {Date|string} startDate - Lease start date
+ * @param {Date|string} endDate - Lease end date (optional)
+ * @param {number} requestedBed - A specific bed (1..capacity), or undefined for the lowest free bed
+ * @param {string} excludeLeaseId - Lease to ignore (optional)
+ * @returns {Promise<Object>} { bed } or { error } with a message
+ */
+export const findFreeBed = async (room, startDate, endDate, requestedBed, excludeLeaseId) => {
+  const capacity = room.capacity || 1;
+
+  if (requestedBed !== undefined && requestedBed !== null) {
+    if (!Number.isInteger(requestedBed) || requestedBed < 1 || requestedBed > capacity) {
+      return { error: `Bed must be between 1 and ${capacity}` };
+    }
+  }
+
+  const overlapping = await findOverlappingLeases(room._id, startDate, endDate, excludeLeaseId);
+  const takenBeds = new Set(overlapping.map((lease) => lease.bed || 1));
+
+  if (requestedBed) {
+    if (takenBeds.has(requestedBed)) {
+      return { error: `Bed ${requestedBed} already has an active or upcoming lease during this period` };
+    }
+    return { bed: requestedBed };
+  }
+
+  for (let bed = 1; bed <= capacity; bed++) {
+    if (!takenBeds.has(bed)) {
+      return { bed };
+    }
+  }
+
+  return { error: "All beds in this room have an active or upcoming lease during this period" };
+};
+
+/**
+ * Call at the start of a withTransaction call that books a room's beds, so two
+ * concurrent bookings for the same room conflict instead of both passing the bed check.
+ * In a transaction this writes to the room; on a standalone server it takes a
+ * booking lock on the room, released when the withTransaction call ends.
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Object>} The update result
+ * @throws {Error} WriteConflictError when another request holds the booking lock
+ */
+export const lockRoom = async (roomId) => {
+  if (transactionsAvailable()) {
+    return Room.updateOne({ _id: roomId }, { $set: { updatedAt: new Date() } });
+  }
+
+  const now = new Date();
+  const result = await Room.updateOne(
+    { _id: roomId, $or: [{ bookingLockedUntil: null }, { bookingLockedUntil: { $lte: now } }] },
+    { $set: { bookingLockedUntil: new Date(now.getTime() + BOOKING_LOCK_MS) } }
+  );
+  if (result.matchedCount === 0) {
+    if (await Room.exists({ _id: roomId })) {
+      throw writeConflictError("Room is being booked by another request");
+    }
+    return result;
+  }
+
+  releaseAfterWrites(() => Room.updateOne({ _id: roomId }, { $unset: { bookingLockedUntil: 1 } }));
+  return result;
+};
+
+/**
+ * What a room's occupancy fields should be given its active leases.
+ * Rooms under maintenance keep that status; otherwise the status is
+ * vacant, partially_occupied or occupied depending on how many beds are taken.
+ * @param {Object} room - The room document
+ * @param {Array<Object>} activeLeases - The room's active leases, most recently started first
+ * @returns {Object} { currentOccupancy, currentLease, status }
+ */
+export const computeRoomOccupancy = (room, activeLeases) => {
+  const capacity = room.capacity || 1;
+
+  let status = room.status;
+  if (room.status !== "maintenance") {
+    if (activeLeases.length === 0) {
+      status = "vacant";
+    } else if (activeLeases.length < capacity) {
+      status = "partially_occupied";
+    } else {
+      status = "occupied";
+    }
+  }
+
+  return {
+    currentOccupancy: activeLeases.length,
+    // The most recently started lease, kept for single-bed rooms and older clients
+    currentLease: activeLeases.length > 0 ? activeLeases[0]._id : null,
+    status,
+  };
+};
+
+/**
+ * Recompute a room's occupancy and status from its active leases
+ * @param {string} roomId - The room ID
+ * @returns {Promise<Object|null>} The updated room, or null if it does not exist
+ */
+export const syncRoomOccupancy = async (roomId) => {
+  const room = await Room.findById(roomId);
+  if (!room) {
+    return null;
+  }
+
+  const activeLeases = await Lease.find({ room: room._id, status: "active" }).sort({ startDate: -1 });
+  Object.assign(room, computeRoomOccupancy(room, activeLeases));
+
+  await room.save();
+  return room;
+};
+
+export default {
+  findOverlappingLeases,
+  findFreeBed,
+  lockRoom,
+  computeRoomOccupancy,
+  syncRoomOccupancy,
+};
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Organization from "../models/Organization.js";
+import { runWithOrganization } from "../plugins/organizationScope.js";
+
+// Models whose documents carry an organization (see plugins/organizationScope.js)
+const SCOPED_MODELS = [
+  "User",
+  "Property",
+  "Room",
+  "Tenant",
+  "Lease",
+  "Invoice",
+  "LightBill",
+  "Payment",
+  "Notification",
+  "Settings",
+  "Invite",
+  "ApiKey",
+  "MaintenanceTicket",
+  "RentRevision",
+];
+
+// Lowercase emails saved before User.email was normalized, so logins keep matching.
+// An email that would collide with another account is left as it is and logged.
+const normalizeUserEmails = async () => {
+  if (!mongoose.modelNames().includes("User")) return;
+  const users = mongoose.model("User").collection;
+
+  const legacy = await users.find({ email: { $regex: /[A-Z]|^\s|\s$/ } }).toArray();
+  let normalized = 0;
+  for (const user of legacy) {
+    const email = user.email.toLowerCase().trim();
+    if (await users.findOne({ email, _id: { $ne: user._id } })) {
+      console.warn(`Could not normalize email of user ${user._id}: ${email} is already used by another account`);
+      continue;
+    }
+    await users.updateOne({ _id: user._id }, { $set: { email } });
+    normalized++;
+  }
+  if (normalized > 0) {
+    console.log(`Normalized the email of ${normalized} users`);
+  }
+};
+
+// Room names used to be unique across the whole database; they are now unique per
+// property, and the old index would still reject the same name in two properties
+const dropGlobalRoomNameIndex = async () => {
+  if (!mongoose.modelNames().includes("Room")) return;
+  const rooms = mongoose.model("Room").collection;
+
+  let indexes;
+  try {
+    indexes = await rooms.indexes();
+  } catch (error) {
+    // No rooms collection yet
+    if (error.codeName === "NamespaceNotFound") return;
+    throw error;
+  }
+
+  const legacy = indexes.find((index) => index.unique && Object.keys(index.key).join() === "name");
+  if (legacy) {
+    await rooms.dropIndex(legacy.name);
+    console.log(`Dropped the global unique index ${legacy.name} on room names`);
+  }
+};
+
+/**
+ * Assign records created before organizations existed to a default organization.
+ * Runs at startup and does nothing once every record has an organization.
+ * Also lowercases user emails saved before they were normalized and drops the
+ * global unique index on room names.
+ * @returns {Promise<Object|null>} The organization used, or null if nothing needed migrating
+ */
+export const migrateLegacyData = async () => {
+  await normalizeUserEmails();
+  await dropGlobalRoomNameIndex();
+
+  const models = SCOPED_MODELS
+    .filter((name) => mongoose.modelNames().includes(name))
+    .map((name) => mongoose.model(name));
+
+  const pending = [];
+  for (const Model of models) {
+    const count = await Model.countDocuments({ organization: { $exists: false } });
+    if (count > 0) pending.push({ Model, count });
+  }
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  // Reuse the only organization if one was already created, otherwise make one
+  const organizations = await Organization.find().limit(2);
+  const organization = organizations.length === 1
+    ? organizations[0]
+    : await Organization.create({ name: "Default Organization" });
+
+  for (const { Model, count } of pending) {
+    await Model.collection.updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: organization._id } }
+    );
+    console.log(`Assigned ${count} ${Model.modelName} records to organization ${organization.name}`);
+  }
+
+  return organization;
+};
+
+/**
+ * Run a job once for every active organization, with queries scoped to it.
+ * A failure in one organization is logged and does not stop the others.
+ * @param {string} jobName - Name used in log messages
+ * @param {Function} fn - Receives the organization and returns a promise
+ * @returns {Promise<Array>} The results of organizations that succeeded
+ */
+export const forEachOrganization = async (jobName, fn) => {
+  const organizations = await Organization.find({ isActive: true });
+  const results = [];
+
+  for (const organization of organizations) {
+    try {
+      results.push(await runWithOrganization(organization._id, () => fn(organization)));
+    } catch (error) {
+      console.error(`${jobName} failed for organization ${organization.name}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+export default {
+  migrateLegacyData,
+  forEachOrganization,
+};
@@ -0,0 +1,126 @@
+import Payment from "../models/Payment.js";
+import LightBill from "../models/LightBill.js";
+import Tenant from "../models/Tenant.js";
+
+/**
+ * Build the complete payment history for a tenant (invoice and light bill payments)
+ * @param {string} tenantId - The tenant ID
+ * @returns {Promise<Object|null>} The tenant, payments and summary, or null if the tenant does not exist
+ */
+export const getTenantPaymentHistory = async (tenantId) => {
+  // Get tenant details
+  const tenant = await Tenant.findById(tenantId);
+  if (!tenant) {
+    return null;
+  }
+
+  // Get invoice payments for this tenant
+  const invoicePayments = await Payment.find({ tenant: tenantId })
+    .populate("lease", "startDate endDate rentPerMonth room")
+    .populate("invoice", "periodFrom periodTo baseAmount totalAmount status dueDate");
+
+  // Get light bills for this tenant that have payments (paidAmount > 0)
+  const lightBills = await LightBill.find({ 
+    tenant: tenantId,
+    paidAmount: { $gt: 0 }
+  })
+    .populate("lease", "startDate endDate rentPerMonth room")
+    .populate("room", "name floor");
+
+  // Transform payments to a consistent format
+  const transformedInvoicePayments = invoicePayments.map(payment => ({
+    _id: payment._id,
+    amount: payment.amount,
+    date: payment.date,
+    mode: payment.mode,
+    note: payment.note,
+    type: payment.kind === "deposit_refund" ? "depositRefund" : "invoice",
+    period: payment.invoice ? {
+      from: payment.invoice.periodFrom,
+      to: payment.invoice.periodTo,
+      formatted: `${new Date(payment.invoice.periodFrom).toLocaleDateString()} to ${new Date(payment.invoice.periodTo).toLocaleDateString()}`
+    } : null,
+    status: payment.invoice ? payment.invoice.status : null,
+    relatedInfo: {
+      invoice: payment.invoice,
+      lease: payment.lease
+    },
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt
+  }));
+
+  const transformedLightBillPayments = lightBills.map(bill => ({
+    _id: bill._id,
+    amount: bill.paidAmount, // Use paidAmount, not totalAmount
+    date: bill.updatedAt, // Using updatedAt as the payment date
+    mode: "cash", // Default mode for light bills
+    note: "Light bill payment",
+    type: "lightBill",
+    period: {
+      from: bill.periodFrom,
+      to: bill.periodTo,
+      formatted: `${new Date(bill.periodFrom).toLocaleDateString()} to ${new Date(bill.periodTo).toLocaleDateString()}`
+    },
+    status: bill.status,
+    relatedInfo: {
+      lightBill: {
+        periodFrom: bill.periodFrom,
+        periodTo: bill.periodTo,
+        unitsConsumed: bill.unitsConsumed,
+        ratePerUnit: bill.ratePerUnit,
+        totalAmount: bill.totalAmount,
+        paidAmount: bill.paidAmount,
+        status: bill.status,
+        dueDate: bill.dueDate
+      },
+      lease: bill.lease,
+      room: bill.room
+    },
+    createdAt: bill.createdAt,
+    updatedAt: bill.updatedAt
+  }));
+
+  // Combine all payments
+  const allPayments = [...transformedInvoicePayments, ...transformedLightBillPayments];
+
+  // Sort payments by date (newest first)
+  allPayments.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  // Calculate totals
+  let totalInvoicePayments = 0;
+  let totalLightBillPayments = 0;
+  let totalDepositRefunds = 0;
+  
+  invoicePayments.forEach(payment => {
+    if (payment.kind === "deposit_refund") {
+      totalDepositRefunds += payment.amount;
+    } else {
+      totalInvoicePayments += payment.amount;
+    }
+  });
+  
+  lightBills.forEach(bill => {
+    totalLightBillPayments += bill.paidAmount;
+  });
+
+  return {
+    tenant: {
+      _id: tenant._id,
+      fullName: tenant.fullName,
+      phone: tenant.phone,
+      email: tenant.email
+    },
+    payments: allPayments,
+    summary: {
+      totalPayments: allPayments.length,
+      totalInvoicePayments,
+      totalLightBillPayments,
+      totalDepositRefunds,
+      totalAmountPaid: totalInvoicePayments + totalLightBillPayments
+    }
+  };
+};
+
+export default {
+  getTenantPaymentHistory,
+};
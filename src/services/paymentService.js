@@ -0,0 +1,87 @@
+import Invoice from "../models/Invoice.js";
+import LightBill from "../models/LightBill.js";
+import Payment from "../models/Payment.js";
+import { withTransaction } from "../config/db.js";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Adds the amount and sets the status in one update, only if it still fits the total,
+// so concurrent payments can never take a bill past its total
+const guardedPaymentUpdate = (amount) => ({
+  filter: {
+    status: { $ne: "void" },
+    $expr: { $lte: [{ $add: [{ $ifNull: ["$paidAmount", 0] }, amount] }, "$totalAmount"] },
+  },
+  update: [
+    { $set: { paidAmount: { $round: [{ $add: [{ $ifNull: ["$paidAmount", 0] }, amount] }, 2] } } },
+    { $set: { status: { $cond: [{ $gte: ["$paidAmount", "$totalAmount"] }, "paid", "partially_paid"] } } },
+  ],
+});
+
+// Why a guarded update matched nothing
+const rejectionFor = async (Model, id, label) => {
+  const current = await Model.findById(id);
+  if (!current) {
+    return `${label} not found`;
+  }
+  if (current.status === "void") {
+    return `${label} has been voided`;
+  }
+  return `Payment would exceed total ${label.toLowerCase()} amount. Maximum allowable payment: ${roundAmount(
+    current.totalAmount - (current.paidAmount || 0)
+  )}`;
+};
+
+/**
+ * Record a payment against an invoice. The invoice's paid amount and status and the
+ * payment record are written together in a transaction.
+ * @param {string} invoiceId - The invoice ID
+ * @param {Object} details - The payment
+ * @param {number} details.amount - Amount paid
+ * @param {Date|string} details.date - Payment date (default now)
+ * @param {string} details.mode - Payment mode (default cash)
+ * @param {string} details.note - Note (optional)
+ * @returns {Promise<Object>} { invoice, payment } or { error } with a message
+ */
+export const recordInvoicePayment = (invoiceId, { amount, date, mode, note }) =>
+  withTransaction(async () => {
+    const { filter, update } = guardedPaymentUpdate(amount);
+    const invoice = await Invoice.findOneAndUpdate({ _id: invoiceId, ...filter }, update, { new: true });
+    if (!invoice) {
+      return { error: await rejectionFor(Invoice, invoiceId, "Invoice") };
+    }
+
+    const [payment] = await Payment.create([
+      {
+        invoice: invoice._id,
+        lease: invoice.lease,
+        tenant: invoice.tenant,
+        amount,
+        date: date || new Date(),
+        mode: mode || "cash",
+        note,
+      },
+    ]);
+
+    return { invoice, payment };
+  });
+
+/**
+ * Record a payment against a light bill, guarded the same way as invoice payments
+ * @param {string} lightBillId - The light bill ID
+ * @param {number} amount - Amount paid
+ * @returns {Promise<Object>} { lightBill } or { error } with a message
+ */
+export const recordLightBillPayment = async (lightBillId, amount) => {
+  const { filter, update } = guardedPaymentUpdate(amount);
+  const lightBill = await LightBill.findOneAndUpdate({ _id: lightBillId, ...filter }, update, { new: true });
+  if (!lightBill) {
+    return { error: await rejectionFor(LightBill, lightBillId, "Light bill") };
+  }
+  return { lightBill };
+};
+
+export default {
+  recordInvoicePayment,
+  recordLightBillPayment,
+};
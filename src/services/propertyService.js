@@ -0,0 +1,54 @@
+import Property from "../models/Property.js";
+import Room from "../models/Room.js";
+import Settings from "../models/Settings.js";
+
+/**
+ * IDs of all rooms belonging to a property
+ * @param {string} propertyId - The property ID
+ * @returns {Promise<Array>} Room ObjectIds
+ */
+export const getPropertyRoomIds = async (propertyId) =>
+  Room.find({ property: propertyId }).distinct("_id");
+
+/**
+ * Global settings with the property's overrides applied.
+ * Only fields the property actually sets replace the global values.
+ * @param {string} propertyId - The property ID (optional)
+ * @returns {Promise<Object>} Plain settings object
+ */
+export const getEffectiveSettings = async (propertyId) => {
+  let settings = await Settings.findOne();
+  if (!settings) {
+    settings = await Settings.create({});
+  }
+  const effective = settings.toObject();
+
+  if (!propertyId) {
+    return effective;
+  }
+
+  const property = await Property.findById(propertyId).lean();
+  if (!property) {
+    return effective;
+  }
+
+  if (property.defaultBillingDay) {
+    effective.defaultBillingDay = property.defaultBillingDay;
+  }
+  for (const [field, value] of Object.entries(property.lateFeeConfig || {})) {
+    if (value !== undefined && value !== null) {
+      effective.lateFeeConfig[field] = value;
+    }
+  }
+  if (property.noticePeriodDays !== undefined && property.noticePeriodDays !== null) {
+    effective.noticePeriodDays = property.noticePeriodDays;
+  }
+  effective.property = property._id;
+
+  return effective;
+};
+
+export default {
+  getPropertyRoomIds,
+  getEffectiveSettings,
+};
@@ -0,0 +1,113 @@
+import { getLeaseRentForDate, getNextEscalation } from "./escalationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isLastDayOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getDate() === 1;
+
+// Days from one date to another, both included
+const actualDays = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS) + 1;
+
+// Days from one date to another, both included, as if every month had 30 days:
+// the 31st counts as the 30th and a month's last day always ends on day 30
+const thirtyDayMonthDays = (from, to) => {
+  const fromDay = Math.min(from.getDate(), 30);
+  const toDay = isLastDayOfMonth(to) ? 30 : Math.min(to.getDate(), 30);
+  return (
+    (to.getFullYear() - from.getFullYear()) * 360 +
+    (to.getMonth() - from.getMonth()) * 30 +
+    (toDay - fromDay) +
+    1
+  );
+};
+
+// Days billed from one date to another under a proration method
+const countDays = (from, to, method) =>
+  method === "thirty_day" ? Math.min(thirtyDayMonthDays(from, to), 30) : actualDays(from, to);
+
+// The billed days split at each rent escalation that takes effect inside them
+const rentSegments = (lease, from, to) => {
+  const segments = [];
+  let segmentFrom = from;
+  let next = getNextEscalation(lease, segmentFrom);
+  while (next && startOfDay(next.date) <= to) {
+    const segmentTo = startOfDay(next.date);
+    segmentTo.setDate(segmentTo.getDate() - 1);
+    segments.push({ from: segmentFrom, to: segmentTo, rent: getLeaseRentForDate(lease, segmentFrom) });
+    segmentFrom = startOfDay(next.date);
+    next = getNextEscalation(lease, segmentFrom);
+  }
+  segments.push({ from: segmentFrom, to, rent: getLeaseRentForDate(lease, segmentFrom) });
+  return segments;
+};
+
+/**
+ * The rent to bill a lease for a billing period. When the lease starts or ends
+ * inside the period, the period is trimmed to the lease and only those days are
+ * billed; when a rent escalation takes effect inside it, the days before are
+ * billed at the old rent and the rest at the new one:
+ * - actual_days: monthly rent × days billed / days in the period
+ * - thirty_day: monthly rent × days billed / 30, counting every month as 30 days
+ * @param {Object} lease - The lease document
+ * @param {Date} periodFrom - First day of the billing period
+ * @param {Date} periodTo - Last day of the billing period
+ * @param {string} method - "actual_days" (default) or "thirty_day"
+ * @returns {Object|null} { periodFrom, periodTo, baseAmount, proration } with proration
+ *   only set for partial periods or split rents, or null when the lease does not cover any day of the period
+ */
+export const computePeriodRent = (lease, periodFrom, periodTo, method = "actual_days") => {
+  const from = startOfDay(periodFrom);
+  const to = startOfDay(periodTo);
+  const leaseStart = startOfDay(lease.startDate);
+  const leaseEnd = lease.endDate ? startOfDay(lease.endDate) : null;
+
+  const billedFrom = leaseStart > from ? leaseStart : from;
+  const billedTo = leaseEnd && leaseEnd < to ? leaseEnd : to;
+  if (billedTo < billedFrom) {
+    return null;
+  }
+
+  const segments = rentSegments(lease, billedFrom, billedTo);
+  const fullRent = segments[0].rent;
+  const wholePeriod = billedFrom.getTime() === from.getTime() && billedTo.getTime() === to.getTime();
+  if (wholePeriod && segments.length === 1) {
+    return { periodFrom: from, periodTo: to, baseAmount: fullRent, proration: null };
+  }
+
+  const daysInPeriod = method === "thirty_day" ? 30 : actualDays(from, to);
+  const daysBilled = countDays(billedFrom, billedTo, method);
+  if (segments.length === 1) {
+    return {
+      periodFrom: billedFrom,
+      periodTo: billedTo,
+      baseAmount: roundAmount((fullRent * daysBilled) / daysInPeriod),
+      proration: { method, fullRent, daysBilled, daysInPeriod },
+    };
+  }
+
+  // The last segment takes the days left over so the parts add up to the days billed
+  let daysLeft = daysBilled;
+  const rentSplit = segments.map((segment, index) => {
+    const days = index === segments.length - 1 ? daysLeft : Math.min(countDays(segment.from, segment.to, method), daysLeft);
+    daysLeft -= days;
+    return { from: segment.from, to: segment.to, rent: segment.rent, days };
+  });
+
+  return {
+    periodFrom: billedFrom,
+    periodTo: billedTo,
+    baseAmount: roundAmount(rentSplit.reduce((sum, segment) => sum + (segment.rent * segment.days) / daysInPeriod, 0)),
+    proration: { method, fullRent, daysBilled, daysInPeriod, rentSplit },
+  };
+};
+
+export default {
+  computePeriodRent,
+};
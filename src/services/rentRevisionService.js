@@ -0,0 +1,191 @@
+import cron from "node-cron";
+import RentRevision from "../models/RentRevision.js";
+import Room from "../models/Room.js";
+import { forEachOrganization } from "./organizationService.js";
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Record a rent change for a room and apply it right away if it is already effective.
+ * A backdated change older than a revision already applied (effective on a later
+ * day) only fills in the history: the room keeps its current rent.
+ * @param {Object} room - The room document
+ * @param {Object} change - The revision
+ * @param {Date|string} change.effectiveDate - When the new rent applies (default now)
+ * @param {number} change.newRent - New default rent (optional)
+ * @param {number|null} change.newRentPerBed - New rent per bed, or null to clear it (optional)
+ * @param {string} change.reason - Why the rent changed (optional)
+ * @param {string} userId - The user making the change (optional)
+ * @returns {Promise<Object>} The revision
+ */
+export const recordRentRevision = async (room, { effectiveDate, newRent, newRentPerBed, reason }, userId) => {
+  const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+  const superseded = effective <= endOfDay(new Date()) &&
+    (await RentRevision.exists({ room: room._id, status: "applied", effectiveDate: { $gt: endOfDay(effective) } }));
+
+  // The rates it replaced, worked out from the history before it is added
+  const previous = superseded ? await getRatesForDate(room, new Date(effective.getTime() - 1)) : null;
+
+  const revision = await RentRevision.create({
+    room: room._id,
+    effectiveDate: effective,
+    newRent,
+    newRentPerBed: newRentPerBed ?? undefined,
+    clearRentPerBed: newRentPerBed === null,
+    reason,
+    createdBy: userId,
+    ...(superseded && {
+      previousRent: previous.defaultRent,
+      previousRentPerBed: previous.rentPerBed ?? undefined,
+      status: "applied",
+      appliedAt: new Date(),
+    }),
+  });
+
+  if (!superseded && revision.effectiveDate <= endOfDay(new Date())) {
+    await applyRentRevision(revision, room);
+  }
+
+  return revision;
+};
+
+/**
+ * Start a new room's rent history with its initial rents
+ * @param {Object} room - The new room document
+ * @param {string} userId - The user who created the room (optional)
+ * @returns {Promise<Object>} The revision
+ */
+export const recordInitialRent = async (room, userId) =>
+  RentRevision.create({
+    room: room._id,
+    effectiveDate: room.createdAt || new Date(),
+    newRent: room.defaultRent,
+    newRentPerBed: room.rentPerBed,
+    status: "applied",
+    appliedAt: new Date(),
+    reason: "Initial rent",
+    createdBy: userId,
+  });
+
+/**
+ * Copy a revision's rents onto its room and mark it applied
+ * @param {Object} revision - The scheduled revision
+ * @param {Object} room - The room document (optional, loaded when missing)
+ * @returns {Promise<Object>} The applied revision
+ */
+export const applyRentRevision = async (revision, room) => {
+  const target = room || (await Room.findById(revision.room));
+  if (!target) {
+    throw new Error(`Room ${revision.room} not found for rent revision ${revision._id}`);
+  }
+
+  revision.previousRent = target.defaultRent;
+  revision.previousRentPerBed = target.rentPerBed;
+  if (revision.newRent !== undefined && revision.newRent !== null) {
+    target.defaultRent = revision.newRent;
+  }
+  if (revision.clearRentPerBed) {
+    target.rentPerBed = null;
+  } else if (revision.newRentPerBed !== undefined && revision.newRentPerBed !== null) {
+    target.rentPerBed = revision.newRentPerBed;
+  }
+  await target.save();
+
+  revision.status = "applied";
+  revision.appliedAt = new Date();
+  await revision.save();
+
+  return revision;
+};
+
+/**
+ * Apply every scheduled revision of the current organization that has become effective
+ * @returns {Promise<Array>} The applied revisions
+ */
+export const applyDueRentRevisions = async () => {
+  const due = await RentRevision.find({
+    status: "scheduled",
+    effectiveDate: { $lte: endOfDay(new Date()) },
+  }).sort({ effectiveDate: 1 });
+
+  const applied = [];
+  for (const revision of due) {
+    try {
+      applied.push(await applyRentRevision(revision));
+    } catch (error) {
+      console.error(`Failed to apply rent revision ${revision._id}:`, error.message);
+    }
+  }
+  return applied;
+};
+
+// A room's default rent and rent per bed on a date, replayed from its revisions
+const getRatesForDate = async (room, date) => {
+  const revisions = await RentRevision.find({
+    room: room._id,
+    status: { $ne: "cancelled" },
+  }).sort({ effectiveDate: 1, createdAt: 1 });
+
+  // Start from the rates before the first applied revision, if they were recorded
+  const firstApplied = revisions.find((revision) => revision.status === "applied");
+  let defaultRent = room.defaultRent;
+  let rentPerBed = room.rentPerBed;
+  if (firstApplied && firstApplied.previousRent !== undefined) {
+    defaultRent = firstApplied.previousRent;
+    rentPerBed = firstApplied.previousRentPerBed;
+  }
+
+  for (const revision of revisions) {
+    if (revision.effectiveDate > endOfDay(date)) break;
+    if (revision.newRent !== undefined && revision.newRent !== null) defaultRent = revision.newRent;
+    if (revision.clearRentPerBed) rentPerBed = null;
+    else if (revision.newRentPerBed !== undefined && revision.newRentPerBed !== null) rentPerBed = revision.newRentPerBed;
+  }
+
+  return { defaultRent, rentPerBed };
+};
+
+/**
+ * The rent a new lease starting on a date should pick up: the latest revision
+ * effective on that date (including scheduled ones), else the room's current rent.
+ * @param {Object} room - The room document
+ * @param {Date|string} date - The lease start date
+ * @returns {Promise<number>} Rent per bed if set for that date, otherwise the default rent
+ */
+export const getRentForDate = async (room, date) => {
+  const { defaultRent, rentPerBed } = await getRatesForDate(room, date);
+  return rentPerBed ?? defaultRent;
+};
+
+/**
+ * Scheduled task to apply rent revisions on their effective date
+ * Runs every day at 12:05 AM
+ */
+export const scheduleRentRevisionJob = () => {
+  cron.schedule("5 0 * * *", async () => {
+    console.log("Applying scheduled rent revisions...");
+
+    try {
+      const results = await forEachOrganization("Rent revision job", () => applyDueRentRevisions());
+      const total = results.reduce((sum, applied) => sum + applied.length, 0);
+      console.log(`Rent revision job completed. Applied ${total} revisions.`);
+    } catch (error) {
+      console.error("Error in scheduled rent revision job:", error.message);
+    }
+  });
+
+  console.log("Rent revisions scheduled daily at 12:05 AM");
+};
+
+export default {
+  recordInitialRent,
+  recordRentRevision,
+  applyRentRevision,
+  applyDueRentRevisions,
+  getRentForDate,
+  scheduleRentRevisionJob,
+};
@@ -0,0 +1,336 @@
+import Invoice from "../models/Invoice.js";
+import LightBill from "../models/LightBill.js";
+import Lease from "../models/Lease.js";
+import Payment from "../models/Payment.js";
+import { diffChecklists } from "./inventoryService.js";
+import { recordInvoicePayment, recordLightBillPayment } from "./paymentService.js";
+import { withTransaction, transactionsAvailable } from "../config/db.js";
+
+const OUTSTANDING_STATUSES = ["unpaid", "partially_paid", "overdue"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const outOfDateError = (reason) => {
+  const error = new Error(`Settlement is out of date: ${reason}`);
+  error.name = "SettlementOutOfDateError";
+  return error;
+};
+
+// Take a deposit deduction back off an invoice or light bill. The status it had
+// before is restored unless another payment has landed on it since.
+const undoDeduction = (Model, id, amount, before) =>
+  Model.updateOne({ _id: id }, [
+    { $set: { paidAmount: { $round: [{ $subtract: [{ $ifNull: ["$paidAmount", 0] }, amount] }, 2] } } },
+    {
+      $set: {
+        status: {
+          $cond: [
+            { $eq: ["$paidAmount", before.paidAmount] },
+            before.status,
+            { $cond: [{ $gt: ["$paidAmount", 0] }, "partially_paid", before.status] },
+          ],
+        },
+      },
+    },
+  ]);
+
+const formatPeriod = (from, to) =>
+  `${new Date(from).toLocaleDateString()} to ${new Date(to).toLocaleDateString()}`;
+
+/**
+ * The part of a lease's deposit still held: paid, less refunded, moved to a
+ * renewal or transfer, or kept at move-out
+ * @param {Object} lease - The lease document
+ * @returns {number} The deposit balance
+ */
+export const getDepositBalance = (lease) =>
+  Math.max(
+    roundAmount(
+      (lease.depositPaid || 0) -
+        (lease.depositRefunded || 0) -
+        (lease.depositTransferred || 0) -
+        (lease.depositDeducted || 0)
+    ),
+    0
+  );
+
+// The lease and the leases it renews or was transferred from; the deposit moved along this chain
+const getLeaseChain = async (lease) => {
+  const chain = [lease];
+  let previousId = lease.previousLease;
+  while (previousId) {
+    const previous = await Lease.findById(previousId);
+    if (!previous) break;
+    chain.push(previous);
+    previousId = previous.previousLease;
+  }
+  return chain;
+};
+
+/**
+ * Build the move-out settlement statement for a lease.
+ * Unpaid invoice and light bill balances of the lease (and of the leases it renews
+ * or was transferred from) are deducted from the deposit along with the damage
+ * charges and the notice shortfall.
+ * @param {Object} lease - The lease document
+ * @returns {Promise<Object>} { depositHeld, deductions, totalDeductions, refundDue, amountOwed, conditionReport, ... }
+ */
+export const buildSettlementStatement = async (lease) => {
+  const settlement = lease.settlement || {};
+  const leaseIds = (await getLeaseChain(lease)).map((chainLease) => chainLease._id);
+
+  // Sequential on purpose: this also runs inside finalize's transaction
+  const invoices = await Invoice.find({ lease: { $in: leaseIds }, status: { $in: OUTSTANDING_STATUSES } })
+    .sort({ periodFrom: 1 });
+  const lightBills = await LightBill.find({ lease: { $in: leaseIds }, status: { $in: OUTSTANDING_STATUSES } })
+    .sort({ periodFrom: 1 });
+
+  const deductions = [];
+  for (const invoice of invoices) {
+    const balance = roundAmount(invoice.totalAmount - (invoice.paidAmount || 0));
+    if (balance > 0) {
+      deductions.push({
+        type: "invoice",
+        description: `Invoice ${formatPeriod(invoice.periodFrom, invoice.periodTo)}`,
+        amount: balance,
+        invoice: invoice._id,
+      });
+    }
+  }
+  for (const bill of lightBills) {
+    const balance = roundAmount(bill.totalAmount - (bill.paidAmount || 0));
+    if (balance > 0) {
+      deductions.push({
+        type: "light_bill",
+        description: `Electricity ${formatPeriod(bill.periodFrom, bill.periodTo)}`,
+        amount: balance,
+        lightBill: bill._id,
+      });
+    }
+  }
+  for (const charge of settlement.damageCharges || []) {
+    deductions.push({
+      type: "damage",
+      description: charge.description,
+      amount: charge.amount,
+    });
+  }
+  // The shortfall from the recorded notice applies unless entered by hand; once it
+  // has been invoiced it is already among the outstanding invoices
+  const notice = lease.notice;
+  const noticeShortfall = notice && notice.shortfallInvoice
+    ? 0
+    : settlement.noticeShortfall ?? (notice ? notice.shortfallAmount : 0);
+  if (noticeShortfall > 0) {
+    deductions.push({
+      type: "notice_shortfall",
+      description: notice && settlement.noticeShortfall === undefined
+        ? `Notice period shortfall: ${notice.shortfallDays} of ${notice.periodDays} days`
+        : "Notice period shortfall",
+      amount: noticeShortfall,
+    });
+  }
+
+  const depositHeld = getDepositBalance(lease);
+  const totalDeductions = roundAmount(deductions.reduce((sum, item) => sum + item.amount, 0));
+
+  // Damaged and missing items help price the damage charges
+  let conditionReport = null;
+  if (lease.moveInChecklist && lease.moveOutChecklist) {
+    const { damaged, missing } = diffChecklists(lease.moveInChecklist, lease.moveOutChecklist);
+    conditionReport = { damaged, missing };
+  }
+
+  return {
+    lease: lease._id,
+    status: settlement.status || "draft",
+    depositHeld,
+    deductions,
+    totalDeductions,
+    refundDue: Math.max(roundAmount(depositHeld - totalDeductions), 0),
+    amountOwed: Math.max(roundAmount(totalDeductions - depositHeld), 0),
+    notes: settlement.notes,
+    conditionReport,
+  };
+};
+
+/**
+ * Finalize a lease's move-out settlement.
+ * Damage and notice charges are billed on a charges invoice, the deposit is applied
+ * to the outstanding balances in statement order (recorded as "deposit" payments),
+ * and what is left is refunded to the tenant. Anything the deposit does not cover
+ * stays unpaid on its invoice or light bill. Every balance is checked against the
+ * statement before the first write, and everything is written in one transaction.
+ * On a standalone server, where there is no transaction, the deductions and the
+ * charges invoice already written are undone if a payment still slips in.
+ * @param {string} leaseId - The lease ID
+ * @param {Object} refund - How the refund is paid out
+ * @param {string} refund.mode - Payment mode of the refund (default cash)
+ * @param {Date|string} refund.date - Settlement date (default now)
+ * @param {string} refund.note - Note for the refund payment
+ * @param {string} userId - The user finalizing the settlement
+ * @returns {Promise<Object>} { statement } with chargesInvoice and refundPayment, or { error } with a message
+ * @throws {Error} SettlementOutOfDateError when a payment came in while settling; nothing is left written
+ */
+export const finalizeSettlement = (leaseId, { mode, date, note } = {}, userId) =>
+  withTransaction(async () => {
+    // Loaded inside the transaction so a concurrent finalize is caught
+    const lease = await Lease.findById(leaseId);
+    if (!lease) {
+      return { error: "Lease not found" };
+    }
+    if (lease.settlement && lease.settlement.status === "finalized") {
+      return { error: "Settlement has already been finalized" };
+    }
+
+    const statement = await buildSettlementStatement(lease);
+    const settledOn = date ? new Date(date) : new Date();
+    let remaining = statement.depositHeld;
+
+    // Check every balance still matches the statement before writing anything, and
+    // keep each one's paid amount and status in case the deductions must be undone
+    const before = new Map();
+    for (const item of statement.deductions) {
+      if (!item.invoice && !item.lightBill) continue;
+      const current = item.lightBill
+        ? await LightBill.findById(item.lightBill)
+        : await Invoice.findById(item.invoice);
+      const balance = current ? roundAmount(current.totalAmount - (current.paidAmount || 0)) : 0;
+      if (!current || current.status === "void" || balance !== item.amount) {
+        throw outOfDateError(`${item.description} has changed`);
+      }
+      before.set(String(current._id), { paidAmount: current.paidAmount || 0, status: current.status });
+    }
+
+    // Bill damage and notice charges so any part the deposit does not cover can be collected
+    const charges = statement.deductions.filter((item) => ["damage", "notice_shortfall"].includes(item.type));
+    let chargesInvoice = null;
+    if (charges.length > 0) {
+      const chargeDate = lease.endDate || settledOn;
+      chargesInvoice = new Invoice({
+        kind: "charges",
+        lease: lease._id,
+        tenant: lease.tenant,
+        room: lease.room,
+        periodFrom: chargeDate,
+        periodTo: chargeDate,
+        issueDate: settledOn,
+        dueDate: settledOn,
+        baseAmount: 0,
+        adjustments: charges.map((item) => ({ description: item.description, amount: item.amount })),
+        totalAmount: 0,
+      });
+      chargesInvoice.recalculateTotal();
+      await chargesInvoice.save();
+      for (const item of charges) {
+        item.invoice = chargesInvoice._id;
+      }
+    }
+
+    let deducted = 0;
+    const applied = [];
+    for (const item of statement.deductions) {
+      const covered = Math.min(item.amount, remaining);
+      if (covered <= 0) break;
+      const result = item.lightBill
+        ? await recordLightBillPayment(item.lightBill, covered)
+        : await recordInvoicePayment(item.invoice, {
+            amount: covered,
+            date: settledOn,
+            mode: "deposit",
+            note: "Deducted from deposit at move-out",
+          });
+      if (result.error) {
+        // A payment came in while settling; abort so the statement can be rebuilt.
+        // A transaction rolls everything back; without one, undo what was written.
+        if (!transactionsAvailable()) {
+          for (const deduction of applied) {
+            if (deduction.payment) {
+              await Payment.deleteOne({ _id: deduction.payment._id });
+            }
+            if (deduction.lightBill) {
+              await undoDeduction(LightBill, deduction.lightBill, deduction.amount, before.get(String(deduction.lightBill)));
+            } else if (!chargesInvoice || String(deduction.invoice) !== String(chargesInvoice._id)) {
+              await undoDeduction(Invoice, deduction.invoice, deduction.amount, before.get(String(deduction.invoice)));
+            }
+          }
+          if (chargesInvoice) {
+            await Invoice.deleteOne({ _id: chargesInvoice._id });
+          }
+        }
+        throw outOfDateError(result.error);
+      }
+      applied.push({ invoice: item.invoice, lightBill: item.lightBill, amount: covered, payment: result.payment });
+      remaining = roundAmount(remaining - covered);
+      deducted = roundAmount(deducted + covered);
+    }
+
+    let refundPayment = null;
+    if (remaining > 0) {
+      refundPayment = await Payment.create({
+        kind: "deposit_refund",
+        lease: lease._id,
+        tenant: lease.tenant,
+        amount: remaining,
+        date: settledOn,
+        mode: mode || "cash",
+        note: note || "Deposit refund at move-out",
+      });
+    }
+
+    lease.depositDeducted = roundAmount((lease.depositDeducted || 0) + deducted);
+    lease.depositRefunded = roundAmount((lease.depositRefunded || 0) + remaining);
+    lease.settlement = {
+      ...(lease.settlement ? lease.settlement.toObject() : {}),
+      status: "finalized",
+      depositHeld: statement.depositHeld,
+      deductions: statement.deductions,
+      totalDeductions: statement.totalDeductions,
+      refundDue: statement.refundDue,
+      amountOwed: statement.amountOwed,
+      chargesInvoice: chargesInvoice ? chargesInvoice._id : undefined,
+      refundPayment: refundPayment ? refundPayment._id : undefined,
+      finalizedAt: new Date(),
+      finalizedBy: userId,
+    };
+    await lease.save();
+
+    return {
+      statement: {
+        ...statement,
+        status: "finalized",
+        chargesInvoice,
+        refundPayment,
+      },
+    };
+  });
+
+/**
+ * The statement of a finalized settlement as it was recorded
+ * @param {Object} lease - The lease document with a finalized settlement
+ * @returns {Object} The recorded statement
+ */
+export const getFinalizedStatement = (lease) => {
+  const settlement = lease.settlement.toObject();
+  return {
+    lease: lease._id,
+    status: settlement.status,
+    depositHeld: settlement.depositHeld,
+    deductions: settlement.deductions,
+    totalDeductions: settlement.totalDeductions,
+    refundDue: settlement.refundDue,
+    amountOwed: settlement.amountOwed,
+    notes: settlement.notes,
+    chargesInvoice: settlement.chargesInvoice,
+    refundPayment: settlement.refundPayment,
+    finalizedAt: settlement.finalizedAt,
+    finalizedBy: settlement.finalizedBy,
+  };
+};
+
+export default {
+  getDepositBalance,
+  buildSettlementStatement,
+  finalizeSettlement,
+  getFinalizedStatement,
+};
@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import { permissionsForRole } from "../config/permissions.js";
+
+// Read on use: this module loads before dotenv has filled process.env
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const CHALLENGE_TOKEN_TTL = "5m";
+
+/**
+ * Hash an opaque token for storage (refresh tokens are never stored in plain text)
+ * @param {string} token - The token to hash
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateSecret = () => crypto.randomBytes(32).toString("hex");
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+
+const refreshExpiry = () =>
+  new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - The authenticated user
+ * @param {Object} req - The express request (used for user agent and IP)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+export const createSession = async (user, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    accessToken: signAccessToken(user, session),
+    // The session id is part of the token so it can be found without a scan
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * invalidated; presenting it again revokes the whole session. The swap is a
+ * single conditional update, so of two concurrent refreshes with the same
+ * token only one succeeds and the other counts as reuse.
+ * @param {string} refreshToken - The refresh token from the client
+ * @param {Function} loadUser - Resolves the session's user by ID
+ * @param {Object} req - The express request
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, session, user } or null if invalid
+ */
+export const rotateRefreshToken = async (refreshToken, loadUser, req) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    // An already-rotated token was replayed: assume it was stolen
+    await revokeSession(session, "refresh_token_reuse");
+    return null;
+  }
+
+  const user = await loadUser(session.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session, "user_inactive");
+    return null;
+  }
+
+  const nextSecret = generateSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        userAgent: req.headers["user-agent"] || session.userAgent,
+        ip: req.ip || session.ip,
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // Another request rotated the same token first: treat it as reuse
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "refresh_token_reuse" } }
+    );
+    return null;
+  }
+
+  return {
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`,
+    session: rotated,
+    user,
+  };
+};
+
+/**
+ * Shape of the token payload returned to clients after a successful login
+ * @param {Object} user - The authenticated user
+ * @param {Object} tokens - Result of createSession or rotateRefreshToken
+ * @returns {Object}
+ */
+export const buildAuthPayload = (user, tokens) => ({
+  token: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  sessionId: tokens.session._id,
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: permissionsForRole(user.role),
+    tenant: user.tenant,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  },
+});
+
+/**
+ * Sign a short-lived token proving the password step of login succeeded.
+ * It has no session id, so authRequired never accepts it as an access token.
+ * @param {Object} user - The user who passed the password check
+ * @param {string} purpose - "2fa_login" or "2fa_enroll"
+ * @returns {string}
+ */
+export const signChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_TTL,
+  });
+
+/**
+ * Verify a challenge token for the expected purpose
+ * @param {string} token - The challenge token
+ * @param {string} purpose - The expected purpose
+ * @returns {Object|null} The decoded payload, or null if invalid or expired
+ */
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} session - The session document
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<Object>} The updated session
+ */
+export const revokeSession = async (session, reason = "logout") => {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+  return session;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - The user ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} exceptSessionId - A session to keep (optional)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+export default {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  buildAuthPayload,
+  signChallengeToken,
+  verifyChallengeToken,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,151 @@
+import Invoice from "../models/Invoice.js";
+import Lease from "../models/Lease.js";
+import { computePeriodRent } from "./prorationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Inclusive number of days between two dates
+const daysBetween = (from, to) =>
+  Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS) + 1;
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split the billing period a room transfer falls in between the two leases.
+ * The old lease's invoice for that period is credited for the days from the
+ * transfer date, and the new lease gets an invoice for the rest of that calendar
+ * month at its rent, prorated like the monthly invoices.
+ * Credit the old invoice can no longer absorb (because it was already paid) is
+ * carried to the new invoice, and whatever that cannot absorb is kept on the new
+ * lease as a credit balance for its next invoices.
+ * @param {Object} oldLease - The lease the tenant moves out of
+ * @param {Object} newLease - The lease for the new room
+ * @param {Date} transferDate - First day in the new room
+ * @param {Object} names - Room names for adjustment descriptions: { from, to }
+ * @param {string} prorationMethod - Proration method for the new invoice (default actual_days)
+ * @returns {Promise<Object>} { creditedInvoice, newInvoice, unappliedCredit }, or an empty object
+ *   when no issued invoice covers the transfer date
+ */
+export const applyTransferAdjustments = async (oldLease, newLease, transferDate, names, prorationMethod) => {
+  const invoice = await Invoice.findOne({
+    lease: oldLease._id,
+    kind: { $ne: "charges" },
+    periodFrom: { $lte: endOfDay(transferDate) },
+    periodTo: { $gte: startOfDay(transferDate) },
+    status: { $ne: "void" },
+  });
+  if (!invoice) {
+    return {};
+  }
+
+  const periodDays = daysBetween(invoice.periodFrom, invoice.periodTo);
+  const movedDays = daysBetween(transferDate, invoice.periodTo);
+  const label = `${movedDays} of ${periodDays} days`;
+
+  // Credit the old room for the days after the move, up to what is still unpaid
+  const credit = roundAmount((invoice.baseAmount * movedDays) / periodDays);
+  const unpaid = Math.max(invoice.totalAmount - (invoice.paidAmount || 0), 0);
+  const creditOnOldInvoice = Math.min(credit, unpaid);
+  let carriedCredit = roundAmount(credit - creditOnOldInvoice);
+
+  if (creditOnOldInvoice > 0) {
+    invoice.adjustments.push({
+      description: `Transfer to ${names.to}: ${label} not in ${names.from}`,
+      amount: -creditOnOldInvoice,
+      lease: newLease._id,
+    });
+    invoice.recalculateTotal();
+    await invoice.save();
+  }
+
+  // Charge the new room for the rest of the calendar month, trimmed to the new lease
+  const month = startOfDay(transferDate);
+  const rent = computePeriodRent(
+    newLease,
+    new Date(month.getFullYear(), month.getMonth(), 1),
+    new Date(month.getFullYear(), month.getMonth() + 1, 0),
+    prorationMethod
+  );
+  const charge = rent.baseAmount;
+  const newInvoice = new Invoice({
+    lease: newLease._id,
+    tenant: newLease.tenant,
+    room: newLease.room,
+    periodFrom: rent.periodFrom,
+    periodTo: rent.periodTo,
+    issueDate: new Date(),
+    dueDate: invoice.dueDate > new Date() ? invoice.dueDate : new Date(),
+    baseAmount: charge,
+    proration: rent.proration || undefined,
+    totalAmount: charge,
+  });
+
+  let unappliedCredit = 0;
+  if (carriedCredit > 0) {
+    // Whatever the new invoice cannot absorb stays on the new lease
+    const applied = Math.min(carriedCredit, charge);
+    unappliedCredit = roundAmount(carriedCredit - applied);
+    carriedCredit = applied;
+    newInvoice.adjustments.push({
+      description: `Credit from ${names.from}: ${label} already paid`,
+      amount: -carriedCredit,
+      lease: oldLease._id,
+    });
+  }
+  newInvoice.recalculateTotal();
+  await newInvoice.save();
+
+  if (unappliedCredit > 0) {
+    newLease.creditBalance = roundAmount((newLease.creditBalance || 0) + unappliedCredit);
+    await newLease.save();
+  }
+
+  return { creditedInvoice: invoice, newInvoice, unappliedCredit };
+};
+
+/**
+ * Take a lease's credit balance off a new invoice, up to the invoice total.
+ * The balance is only reduced if it still covers the credit, so two invoices
+ * generated at the same time cannot both spend it. Call before saving the invoice.
+ * @param {Object} invoice - The unsaved invoice
+ * @param {Object} lease - The invoice's lease
+ * @returns {Promise<number>} The credit applied
+ */
+export const applyLeaseCredit = async (invoice, lease) => {
+  const credit = roundAmount(Math.min(lease.creditBalance || 0, invoice.totalAmount));
+  if (credit <= 0) {
+    return 0;
+  }
+
+  const result = await Lease.updateOne(
+    { _id: lease._id, creditBalance: { $gte: credit } },
+    { $inc: { creditBalance: -credit } }
+  );
+  if (result.modifiedCount === 0) {
+    return 0;
+  }
+
+  invoice.adjustments.push({
+    description: "Credit carried from room transfer",
+    amount: -credit,
+  });
+  invoice.recalculateTotal();
+  return credit;
+};
+
+export default {
+  applyTransferAdjustments,
+  applyLeaseCredit,
+};